@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Web API, reachable at /api/app/com.audioflow.myapp/ with a Homey API token.
+ * The routes are declared in .homeycompose/app.json; the work is done in app.js.
+ */
+module.exports = {
+  async getSwitches({ homey }) {
+    return homey.app.getSwitches();
+  },
+
+  async setAllSwitches({ homey, body }) {
+    return homey.app.setAllSwitches((body || {}).on);
+  },
+
+  async getSwitch({ homey, params }) {
+    return homey.app.getSwitch(params.id);
+  },
+
+  async setZones({ homey, params, body }) {
+    return homey.app.setZones(params.id, body || {});
+  },
+
+  async setZone({ homey, params, body }) {
+    return homey.app.setZone(params.id, params.zone, (body || {}).on);
+  },
+
+  async toggleZone({ homey, params }) {
+    return homey.app.toggleZone(params.id, params.zone);
+  },
+
+  async setExclusiveMode({ homey, params, body }) {
+    return homey.app.setExclusiveMode(params.id, (body || {}).enabled);
+  },
+
+  async getConfig({ homey, params }) {
+    return homey.app.getConfig(params.id);
+  },
+
+  async previewConfig({ homey, params, body }) {
+    return homey.app.previewConfig(params.id, body);
+  },
+
+  async importConfig({ homey, params, body }) {
+    return homey.app.importConfig(params.id, body);
+  },
+
+  async cloneConfig({ homey, params, body }) {
+    return homey.app.cloneConfig(params.id, (body || {}).target);
+  },
+};
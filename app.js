@@ -1,6 +1,161 @@
 'use strict';
+
 const Homey = require('homey');
+const SwitchConfig = require('./lib/SwitchConfig');
+const DiscoveryService = require('./lib/DiscoveryService');
+const ZoneBindingManager = require('./lib/ZoneBindingManager');
+
+/**
+ * The app owns the discovery service and the zone bindings of every switch,
+ * and hosts the Web API (api.js). Every API call is routed through the paired
+ * switch's device, so capabilities, Flow triggers and exclusive mode behave
+ * exactly as they do for the Homey app and Flows.
+ */
 class AudioflowApp extends Homey.App {
-  async onInit() { this.log('Audioflow app has been initialized'); }
+
+  async onInit() {
+    // Shared by pairing, repair and devices that lost their switch
+    this.discovery = new DiscoveryService({
+      cache: this.homey.settings.get('discovery_cache') || {},
+      onCacheChange: (cache) => this.homey.settings.set('discovery_cache', cache),
+      log: (message) => this.log(message),
+    });
+
+    // Zones that follow other Homey devices, configured in each switch's settings
+    this.zoneBindings = new ZoneBindingManager({
+      getDevices: () => this._getHomeyDevices(),
+      setTimeout: (fn, ms) => this.homey.setTimeout(fn, ms),
+      clearTimeout: (timer) => this.homey.clearTimeout(timer),
+      log: (message) => this.log(message),
+      error: (message) => this.error(message),
+    });
+
+    this.log('Audioflow app has been initialized');
+  }
+
+  getSwitches() {
+    return this.homey.drivers.getDriver('audioflow').getDevices().map((device) => device.getSwitchInfo());
+  }
+
+  getSwitch(deviceId) {
+    return this._getDevice(deviceId).getSwitchInfo();
+  }
+
+  async setZone(deviceId, zone, on) {
+    if (typeof on !== 'boolean') throw new Error('Body must contain "on": true or false');
+
+    const device = this._getDevice(deviceId);
+    await device.setZoneState(this._getZoneNum(device, zone), on);
+    return device.getSwitchInfo();
+  }
+
+  async toggleZone(deviceId, zone) {
+    const device = this._getDevice(deviceId);
+    await device.toggleZone(this._getZoneNum(device, zone));
+    return device.getSwitchInfo();
+  }
+
+  /**
+   * Bulk change with one of:
+   *   { zones: { "1": true, "3": false } }  listed zones only
+   *   { pattern: "1 0 - -" }                 "-" leaves a zone as it is
+   *   { on: true }                           every enabled zone
+   */
+  async setZones(deviceId, body = {}) {
+    const device = this._getDevice(deviceId);
+
+    if (body.zones && typeof body.zones === 'object') {
+      const changes = {};
+      for (const [zone, on] of Object.entries(body.zones)) {
+        if (typeof on !== 'boolean') throw new Error(`Zone ${zone} must be true or false`);
+        changes[this._getZoneNum(device, zone)] = on;
+      }
+      await device.setZones(changes);
+    } else if (typeof body.pattern === 'string') {
+      await device.setZonesByPattern(body.pattern);
+    } else if (typeof body.on === 'boolean') {
+      const failed = await device.setAllZoneStates(body.on);
+      if (failed.length) throw new Error(`Failed to turn zones ${body.on ? 'on' : 'off'}: ${failed.join(', ')}`);
+    } else {
+      throw new Error('Body must contain "zones", "pattern" or "on"');
+    }
+
+    return device.getSwitchInfo();
+  }
+
+  /**
+   * Every enabled zone of every paired switch, like the "Turn all zones on/off" cards.
+   */
+  async setAllSwitches(on) {
+    if (typeof on !== 'boolean') throw new Error('Body must contain "on": true or false');
+
+    await this.homey.drivers.getDriver('audioflow').setAllZoneStates(on);
+    return this.getSwitches();
+  }
+
+  async setExclusiveMode(deviceId, enabled) {
+    if (typeof enabled !== 'boolean') throw new Error('Body must contain "enabled": true or false');
+
+    const device = this._getDevice(deviceId);
+    await device.setExclusiveMode(enabled);
+    return device.getSwitchInfo();
+  }
+
+  /**
+   * Backup of the switch configuration, see lib/SwitchConfig.js.
+   */
+  async getConfig(deviceId) {
+    return this._getDevice(deviceId).exportConfig();
+  }
+
+  /**
+   * The changes importing a backup would make, without sending them.
+   */
+  async previewConfig(deviceId, config) {
+    const device = this._getDevice(deviceId);
+    const result = await device.previewConfig(config);
+    return { ...result, text: SwitchConfig.formatDiff(result, device.zoneCount) };
+  }
+
+  async importConfig(deviceId, config) {
+    const device = this._getDevice(deviceId);
+    const result = await device.importConfig(config);
+    return { ...result, text: SwitchConfig.formatDiff(result, device.zoneCount) };
+  }
+
+  async cloneConfig(deviceId, targetId) {
+    const device = this._getDevice(deviceId);
+    const target = this._getDevice(targetId);
+    const result = await device.cloneConfigTo(target);
+    return { ...result, text: SwitchConfig.formatDiff(result, target.zoneCount) };
+  }
+
+  /**
+   * Every device on this Homey through the Web API. The client is only
+   * created once a switch has zone bindings.
+   */
+  async _getHomeyDevices() {
+    if (!this._homeyApi) {
+      const { HomeyAPI } = require('homey-api');
+      this._homeyApi = await HomeyAPI.createAppAPI({ homey: this.homey });
+    }
+    return this._homeyApi.devices.getDevices();
+  }
+
+  _getDevice(deviceId) {
+    const device = this.homey.drivers.getDriver('audioflow').getSwitch(deviceId);
+    if (!device) throw new Error(`No paired switch with id ${deviceId}`);
+    return device;
+  }
+
+  _getZoneNum(device, zone) {
+    const zoneNum = parseInt(zone);
+    if (!(zoneNum >= 1 && zoneNum <= device.zoneCount)) {
+      throw new Error(`Zone ${zone} not available on ${device.getName()}`);
+    }
+    return zoneNum;
+  }
+
 }
-module.exports = AudioflowApp;
\ No newline at end of file
+
+module.exports = AudioflowApp;
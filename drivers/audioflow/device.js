@@ -2,6 +2,33 @@
 
 const Homey = require('homey');
 const AudioflowClient = require('../../lib/AudioflowClient');
+const ZoneScenes = require('../../lib/ZoneScenes');
+const SwitchInfo = require('../../lib/SwitchInfo');
+const ZoneUsage = require('../../lib/ZoneUsage');
+const WeeklySchedule = require('../../lib/WeeklySchedule');
+const SwitchConfig = require('../../lib/SwitchConfig');
+const ZoneBindings = require('../../lib/ZoneBindings');
+const { AudioflowTimeoutError, AudioflowHttpError, AudioflowFirmwareError } = require('../../lib/AudioflowErrors');
+
+const DEFAULT_POLLING_INTERVAL = 5; // seconds
+const FAST_POLLING_INTERVAL = 1000; // ms, adaptive mode right after a command
+const FAST_POLLING_WINDOW = 30 * 1000; // ms
+const IDLE_AFTER = 2 * 60 * 1000; // ms without changes before adaptive mode slows down
+const MAX_IDLE_INTERVAL = 60 * 1000; // ms
+const MAX_BACKOFF_INTERVAL = 5 * 60 * 1000; // ms
+const UNAVAILABLE_AFTER_FAILURES = 3;
+const REDISCOVERY_INTERVAL = 60 * 1000; // ms between background afping searches
+const AUTO_OFF_RETRY_INTERVAL = 60 * 1000; // ms before retrying an auto-off the switch did not accept
+// Marker capabilities the Flow cards of these firmware features filter on
+const FEATURE_CAPABILITIES = {
+  exclusive: 'audioflow_exclusive',
+  reboot: 'audioflow_reboot',
+};
+const REBOOT_TIMING = {
+  initialDelay: 15 * 1000, // ms before the first check, the switch answers for a moment after /reboot_now
+  interval: 5 * 1000, // ms between checks while it is down
+  timeout: 3 * 60 * 1000, // ms before giving up, a firmware update takes a while
+};
 
 class AudioflowDevice extends Homey.Device {
 
@@ -20,14 +47,15 @@ class AudioflowDevice extends Homey.Device {
       return; 
     } 
     
-    this.client = new AudioflowClient(ip);
+    this.client = this._createClient(ip);
 
     // 1. Clean up excessive capabilities (e.g., remove zone 3 & 4 on a 2-zone device)
     for (let i = 1; i <= 4; i++) {
-      const capabilityId = `zone_btn_${i}`;
-      if (i > this.zoneCount && this.hasCapability(capabilityId)) {
-        this.log(`Removing capability ${capabilityId} for model ${model}`);
-        await this.removeCapability(capabilityId).catch(this.error);
+      for (const capabilityId of [`zone_btn_${i}`, `zone_on_today_${i}`, `zone_on_week_${i}`]) {
+        if (i > this.zoneCount && this.hasCapability(capabilityId)) {
+          this.log(`Removing capability ${capabilityId} for model ${model}`);
+          await this.removeCapability(capabilityId).catch(this.error);
+        }
       }
     }
 
@@ -40,80 +68,484 @@ class AudioflowDevice extends Homey.Device {
         await this.addCapability(capabilityId).catch(this.error);
       }
 
-      this.registerCapabilityListener(capabilityId, async (value) => {
-        this.log(`UI Button Action: Setting Zone ${i} to ${value}`);
-        return await this.client.setZoneState(i, value);
-      });
+      this._registerZoneListener(i);
+
+      // Usage capabilities stay when a zone is disabled, so its Insights keep their history
+      for (const usageCapabilityId of [`zone_on_today_${i}`, `zone_on_week_${i}`]) {
+        if (!this.hasCapability(usageCapabilityId)) {
+          await this.addCapability(usageCapabilityId).catch(this.error);
+        }
+      }
     }
 
-    this._registerFlowActions();
-    this._registerFlowConditions();
+    if (!this.hasCapability('measure_wifi_signal')) {
+      await this.addCapability('measure_wifi_signal').catch(this.error);
+    }
   
     // Run sync immediately
     await this._syncWithHardware();
+    await this._updateFeatureCapabilities();
+
+    // After the first sync, so zones that went off while Homey was down drop their timers
+    this._restoreAutoOffTimers();
 
     // Start periodic polling
-    this._startPolling(5);
+    this._lastChangeAt = Date.now();
+    this._startPolling();
+    this._scheduleWeeklyReboot();
+
+    if (this.getSetting('zone_bindings')) {
+      // A device named in a binding may have been removed since: keep the other bindings and the switch working
+      await this._setZoneBindings(this.getSetting('zone_bindings'), { partial: true }).catch((err) => {
+        this.error('Zone bindings:', err.message);
+        this.setWarning(`Zone bindings: ${err.message}`).catch(this.error);
+      });
+    }
   }
 
   async onDeleted() {
     this.log('Device deleted, stopping polling...');
-    if (this.pollingInterval) {
-      this.homey.clearInterval(this.pollingInterval);
-    }
+    this._deleted = true;
+    this._stopPolling();
+    this._clearAutoOffTimers();
+    if (this.weeklyRebootTimeout) this.homey.clearTimeout(this.weeklyRebootTimeout);
+    if (this._hasZoneBindings) this.homey.app.zoneBindings.remove(this.getData().id);
+    if (this.client) this.client.destroy();
   }  
 
+  _registerZoneListener(zoneNum) {
+    this.registerCapabilityListener(`zone_btn_${zoneNum}`, async (value) => {
+      this.log(`UI Button Action: Setting Zone ${zoneNum} to ${value}`);
+      this.pauseZoneBinding(zoneNum);
+      await this.setZoneState(zoneNum, value);
+    });
+  }
+
   _getZoneCount(model) {
     if (model === '3S-2Z') return 2;
     if (model === '3S-3Z') return 3;
     return 4; // Default to 4 for 3S-4Z or if unknown
   }
 
-  _registerFlowActions() {
-    this.homey.flow.getActionCard('turn_zone_on').registerRunListener(async (args) => {
-      const zoneNum = parseInt(args.zone);
-      if (zoneNum > this.zoneCount) throw new Error('Zone not available on this device');
-      return await this.client.setZoneState(zoneNum, true);
+  _getScenes() {
+    return this.getStoreValue('scenes') || {};
+  }
+
+  async _setScenes(scenes) {
+    await this.setStoreValue('scenes', scenes);
+    await this.setSettings({ scenes: ZoneScenes.formatScenes(scenes) }).catch(this.error);
+  }
+
+  _getCurrentZoneStates() {
+    const states = [];
+    for (let i = 1; i <= this.zoneCount; i++) {
+      const capabilityId = `zone_btn_${i}`;
+      states.push(this.hasCapability(capabilityId) ? !!this.getCapabilityValue(capabilityId) : false);
+    }
+    return states;
+  }
+
+  /**
+   * Set a zone on the switch and apply the zone list it returns.
+   */
+  async setZoneState(zoneNum, value) {
+    if (zoneNum > this.zoneCount) throw new Error('Zone not available on this device');
+
+    this._markCommand();
+    const response = await this.client.setZoneState(zoneNum, value);
+    await this._applyCommandResponse(response);
+  }
+
+  /**
+   * Hand the zones over to the app's binding manager, see lib/ZoneBindings.js.
+   * Each device is looked up by the id it resolved to last time, so renaming
+   * it does not break the binding. Throws when the text is invalid or names a
+   * device that does not exist; with partial, the bindings that resolve are
+   * kept and the others are shown as a device warning.
+   */
+  async _setZoneBindings(text, { partial = false } = {}) {
+    const knownIds = this.getStoreValue('zone_binding_devices') || {};
+    const bindings = ZoneBindings.parseBindings(text, this.zoneCount)
+      .map((binding) => ({ ...binding, deviceId: knownIds[binding.device] || null }));
+
+    let problems = [];
+    if (bindings.length || this._hasZoneBindings) {
+      const result = await this.homey.app.zoneBindings.setBindings(
+        this.getData().id,
+        bindings,
+        (zoneNum, on) => this._applyZoneBinding(zoneNum, on),
+        { partial },
+      );
+      this._hasZoneBindings = result.bindings.length > 0;
+      ({ problems } = result);
+
+      // Keyed by the name as written, keeping the last known id of devices not found this time
+      const ids = {};
+      for (const binding of [...bindings, ...result.bindings]) {
+        if (binding.deviceId) ids[binding.device] = binding.deviceId;
+      }
+      await this.setStoreValue('zone_binding_devices', ids).catch(this.error);
+    }
+
+    if (problems.length) {
+      this.error('Zone bindings:', problems.join('; '));
+      await this.setWarning(`Zone bindings: ${problems.join('; ')}`).catch(this.error);
+    } else {
+      await this.unsetWarning().catch(this.error);
+    }
+  }
+
+  async _applyZoneBinding(zoneNum, on) {
+    if (this.getCapabilityValue(`zone_btn_${zoneNum}`) === on) return;
+
+    this.log(`Zone binding: Setting Zone ${zoneNum} to ${on}`);
+    await this.setZoneState(zoneNum, on);
+  }
+
+  /**
+   * The zone was switched by hand, so its binding waits for the next change
+   * of the device it follows.
+   */
+  pauseZoneBinding(zoneNum) {
+    if (this._hasZoneBindings) this.homey.app.zoneBindings.pause(this.getData().id, zoneNum);
+  }
+
+  /**
+   * Toggle a zone on the switch ("T" payload) and apply the state it reports back.
+   */
+  async toggleZone(zoneNum) {
+    if (zoneNum > this.zoneCount) throw new Error('Zone not available on this device');
+
+    this._markCommand();
+    const response = await this.client.toggleZone(zoneNum);
+    await this._applyCommandResponse(response);
+  }
+
+  /**
+   * Switch a zone on and back off after the given number of minutes.
+   * If the zone is already on, the timer is restarted.
+   */
+  async turnZoneOnFor(zoneNum, minutes) {
+    if (!(minutes > 0)) throw new Error('Duration must be more than 0 minutes');
+
+    await this.setZoneState(zoneNum, true);
+    await this._scheduleAutoOff(zoneNum, Date.now() + minutes * 60 * 1000);
+  }
+
+  /**
+   * True if the zone is on and has been for more than the given number of minutes.
+   */
+  isZoneOnFor(zoneNum, minutes) {
+    const capabilityId = `zone_btn_${zoneNum}`;
+    if (!this.hasCapability(capabilityId) || !this.getCapabilityValue(capabilityId)) return false;
+
+    const onSince = (this.getStoreValue('zone_on_since') || {})[zoneNum];
+    return !!onSince && Date.now() - onSince > minutes * 60 * 1000;
+  }
+
+  /**
+   * Rename a zone on the switch, keeping its enabled state.
+   */
+  async renameZone(zoneNum, name) {
+    if (zoneNum > this.zoneCount) throw new Error('Zone not available on this device');
+    AudioflowClient.validateName(name);
+
+    const response = await this.client.setZoneName(zoneNum, name, this.getSetting(`enabled_zone${zoneNum}`) !== false);
+    await this._applyCommandResponse(response);
+  }
+
+  _getZoneName(zoneNum) {
+    const knownNames = this.getStoreValue('zone_names') || {};
+    return knownNames[zoneNum] || `Zone ${zoneNum}`;
+  }
+
+  /**
+   * Zones of this switch with their names and current state.
+   */
+  getZoneList() {
+    const zones = [];
+    for (let i = 1; i <= this.zoneCount; i++) {
+      const capabilityId = `zone_btn_${i}`;
+      zones.push({
+        zone: i,
+        name: this._getZoneName(i),
+        enabled: this.hasCapability(capabilityId),
+        on: this.hasCapability(capabilityId) && !!this.getCapabilityValue(capabilityId),
+      });
+    }
+    return zones;
+  }
+
+  /**
+   * Switch details and zone states as kept in sync by polling, for the Web API.
+   */
+  getSwitchInfo() {
+    return {
+      id: this.getData().id,
+      name: this.getName(),
+      available: this.getAvailable(),
+      model: this.getStoreValue('model') || null,
+      serial: this.getStoreValue('serial') || null,
+      firmware: this.getStoreValue('firmware_version') || null,
+      ip: this.getSetting('ip_address') || null,
+      wifi: this.hasCapability('measure_wifi_signal') ? this.getCapabilityValue('measure_wifi_signal') : null,
+      exclusive: this.isExclusiveMode(),
+      zones: this.getZoneList(),
+    };
+  }
+
+  /**
+   * Set several zones at once, e.g. { 1: true, 3: false }. Zones that are not
+   * listed keep their current state. More than one zone goes out as a single
+   * PUT /zones.
+   */
+  async setZones(changes) {
+    const zoneNums = Object.keys(changes).map((zoneNum) => parseInt(zoneNum));
+    if (zoneNums.some((zoneNum) => zoneNum < 1 || zoneNum > this.zoneCount)) {
+      throw new Error('Zone not available on this device');
+    }
+    if (zoneNums.length === 1) {
+      await this.setZoneState(zoneNums[0], changes[zoneNums[0]]);
+      return;
+    }
+
+    await this._sendAllZones(this._getStatesWith(changes));
+  }
+
+  /**
+   * Apply a pattern such as "1 0 1 -" ("-" leaves a zone as it is) with a
+   * single PUT /zones.
+   */
+  async setZonesByPattern(text) {
+    const changes = {};
+    ZoneScenes.parsePattern(text, this.zoneCount).forEach((state, index) => {
+      if (state !== null) changes[index + 1] = state;
     });
+    if (Object.keys(changes).length === 0) return;
+
+    await this._sendAllZones(this._getStatesWith(changes));
+  }
+
+  /**
+   * Switch every enabled zone on or off with a single PUT /zones.
+   * Resolves with the names of the zones that did not end up in that state.
+   */
+  async setAllZoneStates(value) {
+    const changes = {};
+    for (let i = 1; i <= this.zoneCount; i++) {
+      if (this.hasCapability(`zone_btn_${i}`)) changes[i] = value;
+    }
+    if (Object.keys(changes).length === 0) return [];
+
+    await this._sendAllZones(this._getStatesWith(changes));
+
+    return Object.keys(changes)
+      .filter((zoneNum) => this.getCapabilityValue(`zone_btn_${zoneNum}`) !== value)
+      .map((zoneNum) => this._getZoneName(zoneNum));
+  }
+
+  /**
+   * Current zone states with the changes applied, checked against exclusive mode.
+   */
+  _getStatesWith(changes) {
+    const zoneNums = Object.keys(changes).map((zoneNum) => parseInt(zoneNum));
+    const states = this._getCurrentZoneStates();
+    for (const zoneNum of zoneNums) states[zoneNum - 1] = !!changes[zoneNum];
+
+    // In exclusive mode switching one zone on turns the others off
+    const turnedOn = zoneNums.filter((zoneNum) => changes[zoneNum]);
+    if (this.isExclusiveMode() && turnedOn.length === 1) {
+      states.fill(false);
+      states[turnedOn[0] - 1] = true;
+    }
+    this._checkExclusiveStates(states);
+    return states;
+  }
+
+  async _sendAllZones(states) {
+    this._markCommand();
+    const response = await this.client.setAllZones(ZoneScenes.toZonesPayload(states));
+    await this._applyCommandResponse(response);
+  }
+
+  getSceneNames() {
+    return Object.keys(this._getScenes());
+  }
+
+  /**
+   * Save the current zone capability values as a named scene.
+   */
+  async saveScene(name) {
+    const sceneName = (name || '').trim();
+    if (!sceneName) throw new Error('Scene name is required');
+    if (sceneName.includes('\n')) throw new Error('Scene name must be a single line');
+
+    const scenes = this._getScenes();
+    scenes[sceneName] = this._getCurrentZoneStates();
+    this.log(`Saving scene "${sceneName}":`, ZoneScenes.toZonesPayload(scenes[sceneName]));
+    await this._setScenes(scenes);
+  }
+
+  /**
+   * Recall a scene with a single PUT /zones call.
+   */
+  async recallScene(name) {
+    const states = this._getScenes()[name];
+    if (!states) throw new Error(`Scene "${name}" not found`);
+    this._checkExclusiveStates(states);
 
-    this.homey.flow.getActionCard('turn_zone_off').registerRunListener(async (args) => {
-      const zoneNum = parseInt(args.zone);
-      if (zoneNum > this.zoneCount) throw new Error('Zone not available on this device');
-      return await this.client.setZoneState(zoneNum, false);
+    this.log(`Recalling scene "${name}": ${ZoneScenes.toZonesPayload(states)}`);
+    await this._sendAllZones(states);
+  }
+
+  isSceneActive(name) {
+    const states = this._getScenes()[name];
+    if (!states) return false;
+
+    const current = this._getCurrentZoneStates();
+    return states.every((state, index) => state === current[index]);
+  }
+
+  /**
+   * Backup of the switch name, zone names, enabled zones and exclusive mode,
+   * read live from GET /switch and GET /zones.
+   */
+  async exportConfig() {
+    const switchData = await this.client.getSwitch();
+    const zones = await this.client.getZones();
+    return SwitchConfig.fromSwitch(switchData, zones);
+  }
+
+  /**
+   * What importing the backup would change on this switch. Zones beyond this
+   * model's zone count are skipped.
+   */
+  async previewConfig(config, { includeName = true } = {}) {
+    const backup = SwitchConfig.parse(config);
+    const current = await this.exportConfig();
+    return SwitchConfig.diff(current, backup, {
+      zoneCount: this.zoneCount,
+      includeName,
+      exclusive: this.client.features.exclusive,
     });
+  }
 
-    this.homey.flow.getActionCard('turn_all_zones_off').registerRunListener(async () => {
-      this.log('Flow Action: Turning ALL zones OFF');
-      // Only iterate through supported zones
-      for (let i = 1; i <= this.zoneCount; i++) {
-        try {
-          await this.client.setZoneState(i, false);
-        } catch (err) {
-          this.error(`Failed to turn off zone ${i}:`, err.message);
+  /**
+   * Apply a backup and read the switch back. Resolves with the applied diff.
+   */
+  async importConfig(config, options) {
+    const result = await this.previewConfig(config, options);
+    await this._applyConfigChanges(result.changes);
+    await this._syncWithHardware();
+    return result;
+  }
+
+  /**
+   * Copy zone names, enabled zones and exclusive mode to another paired
+   * switch. The switch name is left alone so the two can still be told apart.
+   */
+  async cloneConfigTo(target) {
+    if (target === this) throw new Error('Pick another switch to copy to');
+
+    const config = await this.exportConfig();
+    this.log(`Copying configuration to ${target.getName()}`);
+    return target.importConfig(config, { includeName: false });
+  }
+
+  async _applyConfigChanges(changes) {
+    this._markCommand();
+    try {
+      for (const change of changes) {
+        if (change.type === 'name') {
+          await this.client.setSwitchName(change.to);
+        } else if (change.type === 'zone') {
+          await this.client.setZoneName(change.zone, change.to.name, change.to.enabled);
+        } else if (change.type === 'exclusive') {
+          await this._sendExclusiveMode(change.to);
         }
       }
-      return true; 
-    });
+    } catch (err) {
+      throw new Error(`Failed to restore the configuration: ${err.message}`);
+    }
   }
 
-  _registerFlowConditions() {
-    this.homey.flow.getConditionCard('is_zone_on').registerRunListener(async (args) => {
-      const zoneNum = parseInt(args.zone);
-      const capabilityId = `zone_btn_${zoneNum}`; 
-      
-      if (zoneNum > this.zoneCount) return false;
-      if (!this.hasCapability(capabilityId)) return false;
+  /**
+   * Keep the read-only backup setting in step with the switch.
+   */
+  _updateConfigBackup(switchData, zones) {
+    if (typeof switchData.name !== 'string') return;
 
-      return !!this.getCapabilityValue(capabilityId);
-    });
+    const backup = JSON.stringify(SwitchConfig.fromSwitch(switchData, zones), null, 2);
+    if (this.getSetting('config_backup') !== backup) {
+      this.setSettings({ config_backup: backup }).catch(() => {});
+    }
+  }
+
+  /**
+   * Polling is a chain of timeouts so every delay can be recalculated:
+   * fixed mode uses the polling_interval setting, adaptive mode polls faster
+   * right after a command and slower when nothing changes, and both back off
+   * exponentially while the switch keeps failing.
+   */
+  _startPolling(settings = this.getSettings()) {
+    this._stopPolling();
+    this._scheduleNextPoll(settings);
+  }
+
+  _stopPolling() {
+    if (this.pollingTimeout) this.homey.clearTimeout(this.pollingTimeout);
+    this.pollingTimeout = null;
+  }
+
+  _scheduleNextPoll(settings = this.getSettings()) {
+    if (this._deleted) return;
+
+    this.pollingTimeout = this.homey.setTimeout(async () => {
+      this.pollingTimeout = null;
+      await this._syncWithHardware();
+      // A command may have rescheduled polling while the sync was running
+      if (!this.pollingTimeout) this._scheduleNextPoll();
+    }, this._getPollingDelay(settings));
+  }
+
+  _getPollingDelay(settings) {
+    const seconds = Number(settings.polling_interval) || DEFAULT_POLLING_INTERVAL;
+    const interval = Math.min(Math.max(seconds, 1), 60) * 1000;
+
+    if (this._pollFailures > 0) {
+      return Math.min(interval * 2 ** this._pollFailures, MAX_BACKOFF_INTERVAL);
+    }
+
+    if (settings.polling_mode !== 'adaptive') return interval;
+
+    const now = Date.now();
+    if (now - (this._lastCommandAt || 0) < FAST_POLLING_WINDOW) {
+      return Math.min(FAST_POLLING_INTERVAL, interval);
+    }
+    if (now - this._lastChangeAt > IDLE_AFTER) {
+      return Math.min(interval * 4, Math.max(interval, MAX_IDLE_INTERVAL));
+    }
+    return interval;
   }
 
-  _startPolling(intervalSeconds) {
-    if (this.pollingInterval) this.homey.clearInterval(this.pollingInterval);
-    this.pollingInterval = this.homey.setInterval(() => this._syncWithHardware(), intervalSeconds * 1000);
+  /**
+   * Called before every command sent to the switch. In adaptive mode this
+   * switches polling to the fast interval straight away.
+   */
+  _markCommand() {
+    this._lastCommandAt = Date.now();
+    if (this.getSetting('polling_mode') === 'adaptive' && !this._pollFailures) {
+      this._startPolling();
+    }
   }
 
   async _syncWithHardware() {
+    // The switch is expected to be down, _recoverFromReboot reads it back
+    if (this._rebooting) return;
+
+    // A command answered while this poll runs carries newer zone states than the poll read
+    const commandsBefore = this._commandsApplied || 0;
+
     try {
       const data = await this.client.getZones(); 
       const zones = Array.isArray(data) ? data : (data.zones || []);
@@ -123,116 +555,786 @@ class AudioflowDevice extends Homey.Device {
         switchData = await this.client.getSwitch();
       } catch (err) { }
 
-      // Sync Zones (Only iterate up to this.zoneCount)
-      for (const zoneData of zones) {
-        const zoneNum = parseInt(zoneData.id) + 1; 
-        
-        // Skip if hardware reports more zones than we support/expect for this model
-        if (zoneNum > this.zoneCount) continue;
-
-        const capabilityId = `zone_btn_${zoneNum}`;
-        const settingId = `enabled_zone${zoneNum}`;
-        
-        const isCurrentlyOn = zoneData.state === 'on';
-        const isHardwareEnabled = zoneData.enabled === 1; 
-        const zoneName = zoneData.name || `Zone ${zoneNum}`;
-
-        // Visibility Logic: Hide if disabled via hardware switch/settings
-        if (!isHardwareEnabled && this.hasCapability(capabilityId)) {
-          // Only hide it if it's within our valid range but disabled in settings
-          await this.removeCapability(capabilityId);
-          continue; 
+      const stale = (this._commandsApplied || 0) !== commandsBefore;
+      if (stale) this.log('Poll overlapped a command, keeping the zones from its response');
+      else await this._applyZones(zones);
+
+      if (switchData && typeof switchData === 'object') {
+        await this._applySwitchInfo(switchData);
+        if (!stale) this._updateConfigBackup(switchData, zones);
+      }
+
+      if (this._pollFailures) this.log(`Polling recovered after ${this._pollFailures} failed attempts`);
+      this._pollFailures = 0;
+
+      if (!this.getAvailable()) {
+        this.log('Switch is reachable again, marking device available');
+        await this.setAvailable().catch(this.error);
+        this._emitZonesUpdated();
+      }
+    } catch (err) {
+      this._pollFailures = (this._pollFailures || 0) + 1;
+      // Log the first failure in full, after that only note the back-off
+      if (this._pollFailures === 1) {
+        this.error('Polling failed:', err.message);
+      } else {
+        this.log(`Polling failed ${this._pollFailures} times in a row, next attempt in ${this._getPollingDelay(this.getSettings()) / 1000}s`);
+      }
+
+      if (this._pollFailures >= UNAVAILABLE_AFTER_FAILURES) {
+        if (this.getAvailable()) {
+          await this.setUnavailable(this._getUnavailableReason(err)).catch(this.error);
+          this._emitZonesUpdated();
         }
+        this._rediscoverAddress().catch(this.error);
+      }
+    }
+  }
+
+  /**
+   * Reconciles capabilities, triggers, zone names and enabled settings with a
+   * GET /zones zone list. Shared by polling and by command responses, since
+   * PUT /zones, /zones/N and /zonename/N all return the full GET /zones body.
+   * In exclusive mode that body also carries the zones the switch turned off.
+   */
+  async _applyZones(zones) {
+    const knownNames = this.getStoreValue('zone_names') || {};
+    let namesChanged = false;
+
+    // Sync Zones (Only iterate up to this.zoneCount)
+    for (const zoneData of zones) {
+      const zoneNum = parseInt(zoneData.id) + 1; 
+      
+      // Skip if hardware reports more zones than we support/expect for this model
+      if (zoneNum > this.zoneCount) continue;
 
-        // Visibility Logic: Show if enabled
-        if (isHardwareEnabled && !this.hasCapability(capabilityId)) {
-          await this.addCapability(capabilityId);
-          this.registerCapabilityListener(capabilityId, async (value) => {
-             return await this.client.setZoneState(zoneNum, value);
-          });
+      const capabilityId = `zone_btn_${zoneNum}`;
+      const settingId = `enabled_zone${zoneNum}`;
+      
+      const isCurrentlyOn = zoneData.state === 'on';
+      const isHardwareEnabled = zoneData.enabled === 1; 
+      const zoneName = zoneData.name || `Zone ${zoneNum}`;
+
+      // Name changes, from Homey or from the Audioflow app
+      if (knownNames[zoneNum] !== zoneName) {
+        if (knownNames[zoneNum]) {
+          this.log(`Zone ${zoneNum} renamed from "${knownNames[zoneNum]}" to "${zoneName}"`);
+          this.homey.flow.getDeviceTriggerCard('zone_name_changed')
+            .trigger(this, { zone: zoneNum, old_name: knownNames[zoneNum], new_name: zoneName })
+            .catch(this.error);
         }
+        knownNames[zoneNum] = zoneName;
+        namesChanged = true;
+      }
+      if (this.getSetting(`zone_name${zoneNum}`) !== zoneName) {
+        this.setSettings({ [`zone_name${zoneNum}`]: zoneName }).catch(() => {});
+      }
+
+      // Sync Checkbox Setting
+      if (this.getSetting(settingId) !== isHardwareEnabled) {
+        this.setSettings({ [settingId]: isHardwareEnabled }).catch(() => {});
+      }
+
+      // Visibility Logic: Hide if disabled via hardware switch/settings
+      if (!isHardwareEnabled && this.hasCapability(capabilityId)) {
+        // Only hide it if it's within our valid range but disabled in settings
+        await this.removeCapability(capabilityId);
+        await this._cancelAutoOff(zoneNum);
+        continue; 
+      }
+
+      // Visibility Logic: Show if enabled
+      if (isHardwareEnabled && !this.hasCapability(capabilityId)) {
+        await this.addCapability(capabilityId);
+        this._registerZoneListener(zoneNum);
+      }
+
+      if (this.hasCapability(capabilityId)) {
+        await this._updateZoneState(zoneNum, isCurrentlyOn, zoneName);
 
-        if (this.hasCapability(capabilityId)) {
-          const previousState = this.getCapabilityValue(capabilityId);
-          if (previousState !== isCurrentlyOn) {
-            this.setCapabilityValue(capabilityId, isCurrentlyOn).catch(this.error);
-            
-            const triggerId = isCurrentlyOn ? 'zone_turned_on' : 'zone_turned_off';
-            this.homey.flow.getDeviceTriggerCard(triggerId)
-              .trigger(this, { zone_name: zoneName }, { zone: String(zoneNum) })
-              .catch(() => {});
+        // Force Name Update
+        try {
+          const currentOptions = this.getCapabilityOptions(capabilityId);
+          if (!currentOptions || currentOptions.title !== zoneName) {
+             await this.setCapabilityOptions(capabilityId, { title: zoneName });
+             // Update settings label if settings exist
+             const settingsConfig = this.getSettingsConfig ? await this.getSettingsConfig() : null; // Check availability
+             if(settingsConfig) {
+                 await this.setSettingsConfig({
+                    [settingId]: {
+                      label: { en: `Enable ${zoneName}`, sv: `Aktivera ${zoneName}` }
+                    }
+                 });
+             }
           }
+        } catch (err) { }
+      }
+    }
 
-          // Force Name Update
-          try {
-            const currentOptions = this.getCapabilityOptions(capabilityId);
-            if (!currentOptions || currentOptions.title !== zoneName) {
-               await this.setCapabilityOptions(capabilityId, { title: zoneName });
-               // Update settings label if settings exist
-               const settingsConfig = this.getSettingsConfig ? await this.getSettingsConfig() : null; // Check availability
-               if(settingsConfig) {
-                   await this.setSettingsConfig({
-                      [settingId]: {
-                        label: { en: `Enable ${zoneName}`, sv: `Aktivera ${zoneName}` }
-                      }
-                   });
-               }
-            }
-          } catch (err) { }
-        }
+    if (namesChanged) {
+      await this.setStoreValue('zone_names', knownNames).catch(this.error);
+    }
+
+    await this._updateUsageCapabilities();
+    this._emitZonesUpdated();
+  }
+
+  /**
+   * Zone groups and zone devices listen for this on the driver to follow the
+   * switch without polling it themselves.
+   */
+  _emitZonesUpdated() {
+    this.driver.emit('zones_updated', this);
+  }
+
+  async _applyCommandResponse(response) {
+    if (response && Array.isArray(response.zones)) {
+      await this._applyCommandZones(response.zones);
+      return;
+    }
+    // Unexpected response, fall back to a full sync
+    await this._syncWithHardware();
+  }
+
+  /**
+   * Apply the zone list a command read back, and let a poll that is still
+   * running know its own list is older.
+   */
+  async _applyCommandZones(zones) {
+    this._commandsApplied = (this._commandsApplied || 0) + 1;
+    await this._applyZones(zones);
+  }
+
+  /**
+   * Set a zone capability and fire the matching trigger, but only on a real change.
+   */
+  async _updateZoneState(zoneNum, isOn, zoneName) {
+    const capabilityId = `zone_btn_${zoneNum}`;
+    if (!this.hasCapability(capabilityId)) return;
+
+    const previousState = this.getCapabilityValue(capabilityId);
+    if (previousState === isOn) return;
+
+    this._lastChangeAt = Date.now();
+    const onSince = (this.getStoreValue('zone_on_since') || {})[zoneNum];
+    await this.setCapabilityValue(capabilityId, isOn).catch(this.error);
+    if (previousState !== null || isOn) await this._recordZoneTransition(zoneNum, isOn);
+    await this._updateAutoOff(zoneNum, isOn, previousState === null);
+
+    // No previous value means the capability was just added, not that the zone changed
+    if (previousState === null) return;
+    
+    const triggerId = isOn ? 'zone_turned_on' : 'zone_turned_off';
+    const tokens = { zone_name: zoneName };
+    if (!isOn) tokens.duration = onSince ? Math.round((Date.now() - onSince) / 6000) / 10 : 0;
+
+    // App-level card: the zone argument carries the switch, see AudioflowDriver._registerZoneFlowCards
+    this.homey.flow.getTriggerCard(triggerId)
+      .trigger(tokens, { deviceId: this.getData().id, zone: String(zoneNum) })
+      .catch(this.error);
+  }
 
-        // Sync Checkbox Setting
-        if (this.getSetting(settingId) !== isHardwareEnabled) {
-          this.setSettings({ [settingId]: isHardwareEnabled }).catch(() => {});
+  /**
+   * Append a transition to the usage history and refresh the CSV in the settings.
+   */
+  async _recordZoneTransition(zoneNum, isOn) {
+    const history = ZoneUsage.addEntry(this.getStoreValue('zone_history'), { zone: zoneNum, on: isOn, at: Date.now() });
+    await this.setStoreValue('zone_history', history).catch(this.error);
+    await this.setSettings({ usage_history: this._formatUsageHistory(history) }).catch(this.error);
+  }
+
+  _formatUsageHistory(history) {
+    return ZoneUsage.formatCsv(history, this.getStoreValue('zone_names') || {});
+  }
+
+  /**
+   * Minutes each zone was on today and this week, in the Homey's time zone.
+   * Runs on every reconcile so running sessions keep counting.
+   */
+  async _updateUsageCapabilities() {
+    const history = this.getStoreValue('zone_history') || [];
+    const now = Date.now();
+    const timeZone = this.homey.clock.getTimezone();
+    const periods = {
+      zone_on_today_: ZoneUsage.startOfDay(now, timeZone),
+      zone_on_week_: ZoneUsage.startOfWeek(now, timeZone),
+    };
+
+    for (let i = 1; i <= this.zoneCount; i++) {
+      for (const [prefix, from] of Object.entries(periods)) {
+        const capabilityId = `${prefix}${i}`;
+        if (!this.hasCapability(capabilityId)) continue;
+
+        const minutes = Math.floor(ZoneUsage.onTimeBetween(history, i, from, now) / 60000);
+        if (this.getCapabilityValue(capabilityId) !== minutes) {
+          await this.setCapabilityValue(capabilityId, minutes).catch(this.error);
         }
       }
+    }
+  }
+
+  /**
+   * Keep the on-since time and the auto-off timer of a zone in step with its
+   * state, whether the change came from a command or from the hardware.
+   * Turning on (re)starts the timer from the zone's auto-off setting, turning
+   * off cancels it.
+   */
+  async _updateAutoOff(zoneNum, isOn, isFirstValue) {
+    const onSince = { ...(this.getStoreValue('zone_on_since') || {}) };
+
+    if (!isOn) {
+      if (onSince[zoneNum]) {
+        delete onSince[zoneNum];
+        await this.setStoreValue('zone_on_since', onSince).catch(this.error);
+      }
+      await this._cancelAutoOff(zoneNum);
+      return;
+    }
+
+    // A first value after a restart keeps the time the zone was last seen turning on
+    if (!isFirstValue || !onSince[zoneNum]) {
+      onSince[zoneNum] = Date.now();
+      await this.setStoreValue('zone_on_since', onSince).catch(this.error);
+    }
+
+    const minutes = this.getSetting(`auto_off_zone${zoneNum}`);
+    if (!minutes) return;
+    if (isFirstValue && this._getAutoOffDeadlines()[zoneNum]) return;
+
+    await this._scheduleAutoOff(zoneNum, onSince[zoneNum] + minutes * 60 * 1000);
+  }
+
+  /**
+   * A changed auto-off setting applies to a zone that is already on, counted
+   * from the time it turned on. 0 cancels the running timer.
+   */
+  async _rescheduleAutoOff(zoneNum, minutes) {
+    const capabilityId = `zone_btn_${zoneNum}`;
+    if (!this.hasCapability(capabilityId) || !this.getCapabilityValue(capabilityId)) return;
+
+    if (!minutes) {
+      await this._cancelAutoOff(zoneNum);
+      return;
+    }
+
+    const onSince = (this.getStoreValue('zone_on_since') || {})[zoneNum] || Date.now();
+    await this._scheduleAutoOff(zoneNum, onSince + minutes * 60 * 1000);
+  }
 
-      // Sync Exclusive Mode
-      if (switchData && typeof switchData.exclusive !== 'undefined') {
-        const isExclusive = switchData.exclusive === true;
-        if (this.getSetting('exclusive_mode') !== isExclusive) {
-          this.setSettings({ 'exclusive_mode': isExclusive }).catch(() => {});
+  _getAutoOffDeadlines() {
+    return this.getStoreValue('auto_off_deadlines') || {};
+  }
+
+  /**
+   * Store the deadline (ms since epoch) so it survives a restart, and arm the timer.
+   */
+  async _scheduleAutoOff(zoneNum, deadline) {
+    const deadlines = { ...this._getAutoOffDeadlines(), [zoneNum]: deadline };
+    await this.setStoreValue('auto_off_deadlines', deadlines).catch(this.error);
+    this._armAutoOffTimer(zoneNum, deadline);
+  }
+
+  async _cancelAutoOff(zoneNum) {
+    this._clearAutoOffTimer(zoneNum);
+
+    const deadlines = { ...this._getAutoOffDeadlines() };
+    if (!deadlines[zoneNum]) return;
+
+    this.log(`Auto-off for zone ${zoneNum} cancelled`);
+    delete deadlines[zoneNum];
+    await this.setStoreValue('auto_off_deadlines', deadlines).catch(this.error);
+  }
+
+  _armAutoOffTimer(zoneNum, deadline) {
+    this._clearAutoOffTimer(zoneNum);
+    if (!this._autoOffTimers) this._autoOffTimers = {};
+
+    const delay = Math.max(0, deadline - Date.now());
+    this.log(`Zone ${zoneNum} will switch off in ${Math.round(delay / 1000)}s`);
+    this._autoOffTimers[zoneNum] = this.homey.setTimeout(() => {
+      this._onAutoOffExpired(zoneNum).catch(this.error);
+    }, delay);
+  }
+
+  _clearAutoOffTimer(zoneNum) {
+    if (!this._autoOffTimers || !this._autoOffTimers[zoneNum]) return;
+    this.homey.clearTimeout(this._autoOffTimers[zoneNum]);
+    delete this._autoOffTimers[zoneNum];
+  }
+
+  _clearAutoOffTimers() {
+    for (const zoneNum of Object.keys(this._autoOffTimers || {})) this._clearAutoOffTimer(zoneNum);
+  }
+
+  /**
+   * Re-arm the timers kept in the store. Deadlines that passed while Homey
+   * was down fire right away.
+   */
+  _restoreAutoOffTimers() {
+    for (const [zoneNum, deadline] of Object.entries(this._getAutoOffDeadlines())) {
+      this._armAutoOffTimer(parseInt(zoneNum), deadline);
+    }
+  }
+
+  async _onAutoOffExpired(zoneNum) {
+    delete this._autoOffTimers[zoneNum];
+    if (this._deleted) return;
+
+    const capabilityId = `zone_btn_${zoneNum}`;
+    if (!this.hasCapability(capabilityId) || !this.getCapabilityValue(capabilityId)) {
+      await this._cancelAutoOff(zoneNum);
+      return;
+    }
+
+    this.log(`Auto-off: switching zone ${zoneNum} off`);
+    try {
+      // The on -> off transition cancels the stored deadline
+      await this.setZoneState(zoneNum, false);
+    } catch (err) {
+      this.error(`Auto-off for zone ${zoneNum} failed, retrying:`, err.message);
+      await this._scheduleAutoOff(zoneNum, Date.now() + AUTO_OFF_RETRY_INTERVAL);
+    }
+  }
+
+  /**
+   * Reboot the switch (GET /reboot_now, which also installs pending firmware
+   * updates). Resolves once the switch accepted the command; waiting for it
+   * to come back and restoring the zones carries on in _rebootRecovery.
+   */
+  async rebootSwitch(timing = REBOOT_TIMING) {
+    if (this._rebooting) throw new Error('The switch is already rebooting');
+
+    const states = this._getCurrentZoneStates();
+    const previousVersion = this.getStoreValue('firmware_version');
+
+    this.log('Rebooting the switch');
+    await this.client.reboot();
+
+    this._rebooting = true;
+    this._stopPolling();
+    this._rebootRecovery = this._recoverFromReboot(states, previousVersion, timing)
+      .catch((err) => this.error('Reboot recovery failed:', err.message));
+  }
+
+  async _recoverFromReboot(states, previousVersion, timing) {
+    try {
+      const switchData = await this._waitForSwitch(timing);
+      this.log(`Switch is back after reboot, firmware ${switchData.version || 'unknown'} (was ${previousVersion || 'unknown'})`);
+
+      // Fires firmware_updated when the version changed
+      await this._applySwitchInfo(switchData);
+
+      if (states.some(Boolean)) {
+        this.log(`Restoring zones after reboot: ${ZoneScenes.toZonesPayload(states)}`);
+        await this._sendAllZones(states);
+      } else {
+        await this._applyZones(await this.client.getZones());
+      }
+    } finally {
+      this._rebooting = false;
+      this._pollFailures = 0;
+      if (!this._deleted) this._startPolling();
+    }
+  }
+
+  /**
+   * Poll GET /switch until the switch answers again.
+   */
+  async _waitForSwitch({ initialDelay, interval, timeout }) {
+    const deadline = Date.now() + timeout;
+    await this._delay(initialDelay);
+
+    for (;;) {
+      try {
+        return await this.client.getSwitch();
+      } catch (err) {
+        if (this._deleted) throw err;
+        if (Date.now() + interval > deadline) {
+          throw new Error(`The switch did not come back within ${Math.round(timeout / 1000)}s: ${err.message}`);
         }
       }
+      await this._delay(interval);
+    }
+  }
+
+  _delay(ms) {
+    return new Promise((resolve) => this.homey.setTimeout(resolve, ms));
+  }
 
+  /**
+   * Arm the optional weekly reboot from the reboot_day and reboot_hour settings.
+   */
+  _scheduleWeeklyReboot(settings = this.getSettings()) {
+    if (this.weeklyRebootTimeout) this.homey.clearTimeout(this.weeklyRebootTimeout);
+    this.weeklyRebootTimeout = null;
+
+    const next = WeeklySchedule.nextOccurrence(Date.now(), this.homey.clock.getTimezone(), settings.reboot_day, settings.reboot_hour || 0);
+    if (!next) return;
+
+    this.log(`Next scheduled reboot: ${new Date(next).toISOString()}`);
+    this.weeklyRebootTimeout = this.homey.setTimeout(() => {
+      this.rebootSwitch().catch((err) => this.error('Scheduled reboot failed:', err.message));
+      this._scheduleWeeklyReboot();
+    }, next - Date.now());
+  }
+
+  isExclusiveMode() {
+    return this.getSetting('exclusive_mode') === true;
+  }
+
+  /**
+   * Enable or disable exclusive mode from a Flow and reflect it in the settings.
+   */
+  async setExclusiveMode(enabled) {
+    await this._sendExclusiveMode(enabled);
+    await this.setSettings({ exclusive_mode: enabled }).catch(this.error);
+  }
+
+  /**
+   * PUT /exclusive. The switch may turn zones off when it is enabled and only
+   * answers "enabled", so the zones are read back right away.
+   */
+  async _sendExclusiveMode(enabled) {
+    try {
+      await this.client.setExclusiveMode(enabled ? 'enable' : 'disable');
     } catch (err) {
-      this.error('Polling failed:', err.message);
+      if (err instanceof AudioflowFirmwareError) throw err;
+      throw new Error(`Failed to set exclusive mode: ${err.message}`);
+    }
+
+    // Remembered before the read-back, so a change made by Homey does not fire the trigger
+    await this.setStoreValue('exclusive_mode', enabled).catch(this.error);
+    if (enabled) {
+      this._markCommand();
+      const zones = await this.client.getZones();
+      await this._applyCommandZones(zones);
     }
   }
 
+  /**
+   * Fire the trigger when exclusive mode was changed outside Homey, e.g. in
+   * the Audioflow app. The last known value is kept in the store.
+   */
+  async _updateExclusiveMode(enabled) {
+    const previous = this.getStoreValue('exclusive_mode');
+    if (previous === enabled) return;
+
+    await this.setStoreValue('exclusive_mode', enabled).catch(this.error);
+    if (typeof previous !== 'boolean') return;
+
+    this.log(`Exclusive mode was ${enabled ? 'enabled' : 'disabled'} on the switch`);
+    this.homey.flow.getDeviceTriggerCard('exclusive_mode_changed')
+      .trigger(this, { enabled })
+      .catch(this.error);
+  }
+
+  /**
+   * In exclusive mode the switch only keeps one zone on, so a bulk change
+   * asking for more is refused instead of half applied.
+   */
+  _checkExclusiveStates(states) {
+    if (this.isExclusiveMode() && states.filter(Boolean).length > 1) {
+      throw new Error('Exclusive mode is on: only one zone can be on at a time');
+    }
+  }
+
+  /**
+   * Sync firmware, Wi-Fi, Alexa and exclusive mode from GET /switch.
+   */
+  async _applySwitchInfo(switchData) {
+    if (switchData.version) {
+      await this._updateFirmwareVersion(switchData.version);
+    }
+
+    const info = {};
+    if (typeof switchData.name === 'string') info.switch_name = switchData.name;
+    if (switchData.version) info.firmware_version = switchData.version;
+    if (typeof switchData.alexa !== 'undefined') info.alexa_status = switchData.alexa ? 'Enabled' : 'Disabled';
+
+    const wifi = SwitchInfo.parseWifi(switchData.wifi);
+    if (wifi) {
+      info.wifi_network = `${wifi.ssid} (channel ${wifi.channel})`;
+      this._updateWifiSignal(wifi);
+    }
+
+    // Sync Exclusive Mode
+    if (typeof switchData.exclusive !== 'undefined' && this.client.features.exclusive) {
+      info.exclusive_mode = switchData.exclusive === true;
+      await this._updateExclusiveMode(info.exclusive_mode);
+    }
+
+    const changed = {};
+    for (const [key, value] of Object.entries(info)) {
+      if (this.getSetting(key) !== value) changed[key] = value;
+    }
+    if (Object.keys(changed).length) {
+      this.setSettings(changed).catch(() => {});
+    }
+  }
+
+  _updateWifiSignal({ rssi, ssid }) {
+    if (!this.hasCapability('measure_wifi_signal')) return;
+
+    const previous = this.getCapabilityValue('measure_wifi_signal');
+    if (previous === rssi) return;
+
+    this.setCapabilityValue('measure_wifi_signal', rssi).catch(this.error);
+
+    // The trigger's run listener only lets it through when the level is crossed
+    if (typeof previous === 'number') {
+      this.homey.flow.getDeviceTriggerCard('wifi_signal_dropped')
+        .trigger(this, { rssi, ssid }, { rssi, previous })
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Store the firmware version from GET /switch and gate features on it.
+   */
+  async _updateFirmwareVersion(version) {
+    const previousVersion = this.getStoreValue('firmware_version');
+    if (version === previousVersion) return;
+
+    this.log(`Firmware version: ${version}`);
+    await this.setStoreValue('firmware_version', version);
+    this.client.setFirmwareVersion(version);
+    await this._updateFeatureCapabilities();
+
+    if (previousVersion) {
+      this.log(`Firmware was updated from ${previousVersion} to ${version}`);
+      this.homey.flow.getDeviceTriggerCard('firmware_updated')
+        .trigger(this, { old_version: previousVersion, new_version: version })
+        .catch(this.error);
+    }
+  }
+
+  /**
+   * Give the switch the marker capability of each firmware feature it has,
+   * so the Flow cards for it are only offered where they work. Firmware that
+   * does not report its version is asked for a single zone, which needs the
+   * same version. When that fails for another reason the markers stay as
+   * they are.
+   */
+  async _updateFeatureCapabilities() {
+    let { features } = this.client;
+    if (!this.client.firmwareVersion) {
+      try {
+        await this.client.getZone(1);
+      } catch (err) {
+        if (!(err instanceof AudioflowFirmwareError)) return;
+        features = {};
+      }
+    }
+
+    for (const [feature, capabilityId] of Object.entries(FEATURE_CAPABILITIES)) {
+      if (features[feature] && !this.hasCapability(capabilityId)) {
+        await this.addCapability(capabilityId).catch(this.error);
+      } else if (!features[feature] && this.hasCapability(capabilityId)) {
+        this.log(`Firmware has no ${feature} support, hiding its Flow cards`);
+        await this.removeCapability(capabilityId).catch(this.error);
+      }
+    }
+  }
+
+  /**
+   * Throws the "firmware too old" error when the switch lacks the feature.
+   * SDK3 cannot hide settings per device, and Flows saved before the cards
+   * were hidden still run them, so the settings and cards that need newer
+   * firmware check this first.
+   */
+  requireFeature(feature) {
+    this.client.requireFeature(feature);
+  }
+
+  _getRequestTimeout(settings) {
+    return (Number(settings.request_timeout) || 5) * 1000;
+  }
+
+  _getUnavailableReason(err) {
+    const ip = this.getSetting('ip_address');
+    if (err instanceof AudioflowTimeoutError) return `Switch at ${ip} does not respond`;
+    if (err instanceof AudioflowHttpError) return `Switch at ${ip} answered with HTTP ${err.statusCode}`;
+    if (err.code === 'ECONNREFUSED') return `Switch at ${ip} refused the connection`;
+    if (err.code === 'EHOSTUNREACH' || err.code === 'ENETUNREACH') return `Switch at ${ip} is unreachable`;
+    return `Lost connection to switch at ${ip}: ${err.message}`;
+  }
+
+  /**
+   * While unavailable, look for the same serial on the network in case the
+   * switch got a new DHCP address.
+   */
+  async _rediscoverAddress() {
+    const serial = this.getStoreValue('serial');
+    if (!serial || this._rediscovering) return;
+    if (Date.now() - (this._lastRediscoveryAt || 0) < REDISCOVERY_INTERVAL) return;
+
+    this._rediscovering = true;
+    this._lastRediscoveryAt = Date.now();
+    try {
+      const address = await this.driver.findDeviceAddress(serial);
+      if (address && address !== this.getSetting('ip_address')) {
+        this.log(`Rediscovery: ${serial} now answers at ${address}`);
+        await this.updateAddress(address);
+      }
+    } finally {
+      this._rediscovering = false;
+    }
+  }
+
+  /**
+   * Point the device at a new IP address and poll it right away.
+   */
+  async updateAddress(address) {
+    await this.setSettings({ ip_address: address });
+    if (this.client) this.client.ipAddress = address;
+    else this.client = this._createClient(address);
+    this._pollFailures = 0;
+    await this._syncWithHardware();
+    this._startPolling();
+  }
+
+  /**
+   * Client for the switch at this address, already knowing the firmware
+   * version stored by the last poll.
+   */
+  _createClient(address) {
+    return new AudioflowClient(address, {
+      timeout: this._getRequestTimeout(this.getSettings()),
+      firmwareVersion: this.getStoreValue('firmware_version'),
+      logger: { log: this.log, error: this.error },
+      setTimeout: (fn, ms) => this.homey.setTimeout(fn, ms),
+    });
+  }
+
   async onSettings({ oldSettings, newSettings, changedKeys }) {
+    // A restore is previewed on the first save and only applied on a second one
+    if (changedKeys.includes('config_restore') && newSettings.config_restore_apply) {
+      throw new Error('Save the pasted backup first to see what it changes, then tick "Apply the restore when saving"');
+    }
+    let message;
+
+    // Name and enabled flag share PUT /zonename/N, so send one call per zone
+    const changedZones = new Set();
     for (const key of changedKeys) {
-      
-      if (key.startsWith('enabled_zone')) {
-        const zoneNum = parseInt(key.replace('enabled_zone', ''));
-        // Safety check
-        if (zoneNum > this.zoneCount) continue;
+      const match = key.match(/^(enabled_zone|zone_name)(\d)$/);
+      if (match) changedZones.add(parseInt(match[2]));
+    }
+
+    for (const zoneNum of changedZones) {
+      // Safety check
+      if (zoneNum > this.zoneCount) continue;
+
+      const isEnabled = newSettings[`enabled_zone${zoneNum}`];
+      // Only a name edited here is checked; one set in the Audioflow app goes back as it is
+      const renamed = changedKeys.includes(`zone_name${zoneNum}`);
+      if (renamed) AudioflowClient.validateName(newSettings[`zone_name${zoneNum}`]);
+
+      try {
+        const response = renamed
+          ? await this.client.setZoneName(zoneNum, newSettings[`zone_name${zoneNum}`], isEnabled)
+          : await this.client.setZoneEnabled(zoneNum, isEnabled);
+        await this._applyCommandResponse(response);
+      } catch (err) {
+        throw new Error(`Hardware update failed: ${err.message}`);
+      }
+    }
+
+    for (const key of changedKeys) {
+
+      if (key === 'scenes') {
+        // Throws on invalid lines so Homey shows the error and keeps the old value
+        const scenes = ZoneScenes.parseScenes(newSettings[key], this.zoneCount);
+        await this.setStoreValue('scenes', scenes);
+      }
 
-        const isEnabled = newSettings[key];
-        
+      const autoOff = key.match(/^auto_off_zone(\d)$/);
+      if (autoOff && parseInt(autoOff[1]) <= this.zoneCount) {
+        await this._rescheduleAutoOff(parseInt(autoOff[1]), newSettings[key]);
+      }
+
+      if (key === 'zone_bindings') {
+        // Throws on invalid lines or unknown devices so Homey shows the error and keeps the old value
+        await this._setZoneBindings(newSettings[key]);
+      }
+      
+      if (key === 'switch_name') {
+        AudioflowClient.validateName(newSettings[key]);
         try {
-          const capabilityId = `zone_btn_${zoneNum}`;
-          let currentName = `Zone ${zoneNum}`;
-          if (this.hasCapability(capabilityId)) {
-            const options = this.getCapabilityOptions(capabilityId);
-            if (options && options.title) currentName = options.title;
-          }
+          await this.client.setSwitchName(newSettings[key]);
+        } catch (err) {
+          throw new Error(`Failed to rename switch: ${err.message}`);
+        }
+      }
+
+      if (key === 'usage_history') {
+        // Read-only export: put the recorded history back once the edit is saved
+        const csv = this._formatUsageHistory(this.getStoreValue('zone_history'));
+        this.homey.setTimeout(() => this.setSettings({ usage_history: csv }).catch(this.error), 0);
+      }
+
+      if (key === 'config_backup') {
+        // Read-only export: put the backup back once the edit is saved
+        this.homey.setTimeout(() => this.setSettings({ config_backup: oldSettings[key] }).catch(this.error), 0);
+      }
+
+      if (key === 'config_restore' && (newSettings[key] || '').trim()) {
+        const result = await this.previewConfig(newSettings[key]);
+        message = [
+          'Restoring this backup changes:',
+          ...SwitchConfig.formatDiff(result, this.zoneCount),
+          'Tick "Apply the restore when saving" and save again to apply it.',
+        ].join('\n');
+      }
+
+      if (key === 'config_restore_apply' && newSettings[key]) {
+        this.homey.setTimeout(() => this.setSettings({ config_restore_apply: false }).catch(this.error), 0);
+        if (!(newSettings.config_restore || '').trim()) throw new Error('Paste a backup under "Restore from backup" first');
+
+        const result = await this.previewConfig(newSettings.config_restore);
+        await this._applyConfigChanges(result.changes);
+        // Settings are saved after onSettings resolves, so read the switch back afterwards
+        this.homey.setTimeout(() => {
+          this.setSettings({ config_restore: '' }).catch(this.error);
+          this._syncWithHardware();
+        }, 0);
+        message = ['Restored:', ...SwitchConfig.formatDiff(result, this.zoneCount)].join('\n');
+      }
 
-          await this.client.setZoneName(zoneNum, currentName, isEnabled);
+      if (key === 'reboot_now' && newSettings[key]) {
+        // A checkbox is the only button settings offer, untick it once saved
+        this.homey.setTimeout(() => this.setSettings({ reboot_now: false }).catch(this.error), 0);
+        try {
+          await this.rebootSwitch();
         } catch (err) {
-          throw new Error(`Hardware update failed: ${err.message}`);
+          if (err instanceof AudioflowFirmwareError) throw err;
+          throw new Error(`Failed to reboot the switch: ${err.message}`);
         }
       }
 
+      if (key === 'reboot_day' || key === 'reboot_hour') {
+        if (newSettings.reboot_day !== 'off') this.requireFeature('reboot');
+        this._scheduleWeeklyReboot(newSettings);
+      }
+
+      if (key === 'zone_devices') {
+        // Settings are saved after onSettings resolves, so tell the zone devices afterwards
+        this.homey.setTimeout(() => this._emitZonesUpdated(), 0);
+      }
+
+      if (key === 'request_timeout' && this.client) {
+        this.client.timeout = this._getRequestTimeout(newSettings);
+      }
+
+      if ((key === 'polling_interval' || key === 'polling_mode') && this.client) {
+        this._startPolling(newSettings);
+      }
+
       if (key === 'exclusive_mode') {
-         const mode = newSettings[key] ? 'enable' : 'disable';
-         try {
-           await this.client.setExclusiveMode(mode);
-         } catch(err) {
-           throw new Error(`Failed to set exclusive mode: ${err.message}`);
-         }
+        await this._sendExclusiveMode(newSettings[key]);
       }
     }
+
+    return message;
   }
 }
 
@@ -1,7 +1,9 @@
 'use strict';
 
 const Homey = require('homey');
-const dgram = require('dgram');
+const net = require('net');
+const AudioflowClient = require('../../lib/AudioflowClient');
+const { AudioflowTimeoutError, AudioflowHttpError, AudioflowResponseError } = require('../../lib/AudioflowErrors');
 
 class AudioflowDriver extends Homey.Driver {
 
@@ -10,108 +12,357 @@ class AudioflowDriver extends Homey.Driver {
    */
   async onInit() {
     this.log('Audioflow driver has been initialized');
+    this._registerZoneFlowCards();
+    this._registerSceneFlowCards();
+
+    this.homey.flow.getActionCard('turn_all_zones_on').registerRunListener(async () => {
+      await this.setAllZoneStates(true);
+      return true;
+    });
+
+    this.homey.flow.getActionCard('turn_all_zones_off').registerRunListener(async () => {
+      await this.setAllZoneStates(false);
+      return true;
+    });
+
+    this.homey.flow.getActionCard('set_zones_pattern').registerRunListener(async (args) => {
+      await args.device.setZonesByPattern(args.pattern);
+      return true;
+    });
+
+    this.homey.flow.getActionCard('reboot_switch').registerRunListener(async (args) => {
+      args.device.requireFeature('reboot');
+      await args.device.rebootSwitch();
+      return true;
+    });
+
+    this.homey.flow.getActionCard('clone_switch_config')
+      .registerRunListener(async (args) => {
+        const target = this.getSwitch(args.target.id);
+        if (!target) throw new Error(`The switch "${args.target.name}" is no longer paired, select it again`);
+        await args.device.cloneConfigTo(target);
+        return true;
+      })
+      .registerArgumentAutocompleteListener('target', async (query, args) => {
+        return this.getDevices()
+          .filter((device) => device !== args.device)
+          .filter((device) => device.getName().toLowerCase().includes(query.toLowerCase()))
+          .map((device) => ({ name: device.getName(), description: device.getStoreValue('model'), id: device.getData().id }));
+      });
+
+    this.homey.flow.getActionCard('enable_exclusive_mode').registerRunListener(async (args) => {
+      args.device.requireFeature('exclusive');
+      await args.device.setExclusiveMode(true);
+      return true;
+    });
+
+    this.homey.flow.getActionCard('disable_exclusive_mode').registerRunListener(async (args) => {
+      args.device.requireFeature('exclusive');
+      await args.device.setExclusiveMode(false);
+      return true;
+    });
+
+    this.homey.flow.getConditionCard('is_exclusive_mode_on').registerRunListener(async (args) => {
+      args.device.requireFeature('exclusive');
+      return args.device.isExclusiveMode();
+    });
+
+    // Only fire when the signal crosses the level, not on every poll below it
+    this.homey.flow.getDeviceTriggerCard('wifi_signal_dropped').registerRunListener(async (args, state) => {
+      return state.previous >= args.threshold && state.rssi < args.threshold;
+    });
+  }
+
+  /**
+   * The on/off zone cards have no device argument: the autocomplete lists the
+   * enabled zones of every paired switch by name and the selection carries
+   * the switch. The other zone cards list the zones of their own switch.
+   * Flows saved with the old "1"-"4" dropdown still run, on the first switch
+   * that has that zone or on the card's switch.
+   */
+  _registerZoneFlowCards() {
+    const zoneAutocomplete = async (query) => this._getZoneChoices(this.getDevices(), query);
+    const deviceZoneAutocomplete = async (query, args) => this._getZoneChoices([args.device], query);
+
+    this.homey.flow.getActionCard('turn_zone_on')
+      .registerRunListener(async (args) => {
+        const { device, zoneNum } = this.resolveZoneArg(args.zone);
+        await device.setZoneState(zoneNum, true);
+        return true;
+      })
+      .registerArgumentAutocompleteListener('zone', zoneAutocomplete);
+
+    this.homey.flow.getActionCard('turn_zone_off')
+      .registerRunListener(async (args) => {
+        const { device, zoneNum } = this.resolveZoneArg(args.zone);
+        await device.setZoneState(zoneNum, false);
+        return true;
+      })
+      .registerArgumentAutocompleteListener('zone', zoneAutocomplete);
+
+    this.homey.flow.getConditionCard('is_zone_on')
+      .registerRunListener(async (args) => {
+        const { device, zoneNum } = this.resolveZoneArg(args.zone);
+        const capabilityId = `zone_btn_${zoneNum}`;
+        if (zoneNum > device.zoneCount || !device.hasCapability(capabilityId)) return false;
+        return !!device.getCapabilityValue(capabilityId);
+      })
+      .registerArgumentAutocompleteListener('zone', zoneAutocomplete);
+
+    for (const triggerId of ['zone_turned_on', 'zone_turned_off']) {
+      this.homey.flow.getTriggerCard(triggerId)
+        .registerRunListener(async (args, state) => this._zoneArgMatches(args.zone, state))
+        .registerArgumentAutocompleteListener('zone', zoneAutocomplete);
+    }
+
+    this.homey.flow.getActionCard('toggle_zone')
+      .registerRunListener(async (args) => {
+        args.device.requireFeature('toggle');
+        await args.device.toggleZone(this._resolveDeviceZoneArg(args.device, args.zone));
+        return true;
+      })
+      .registerArgumentAutocompleteListener('zone', deviceZoneAutocomplete);
+
+    this.homey.flow.getActionCard('rename_zone')
+      .registerRunListener(async (args) => {
+        await args.device.renameZone(this._resolveDeviceZoneArg(args.device, args.zone), args.name);
+        return true;
+      })
+      .registerArgumentAutocompleteListener('zone', deviceZoneAutocomplete);
+
+    this.homey.flow.getActionCard('turn_zone_on_for')
+      .registerRunListener(async (args) => {
+        await args.device.turnZoneOnFor(this._resolveDeviceZoneArg(args.device, args.zone), args.minutes);
+        return true;
+      })
+      .registerArgumentAutocompleteListener('zone', deviceZoneAutocomplete);
+
+    this.homey.flow.getConditionCard('zone_on_for')
+      .registerRunListener(async (args) => {
+        return args.device.isZoneOnFor(this._resolveDeviceZoneArg(args.device, args.zone), args.minutes);
+      })
+      .registerArgumentAutocompleteListener('zone', deviceZoneAutocomplete);
+  }
+
+  /**
+   * Autocomplete results for the enabled zones of the given switches, by name.
+   */
+  _getZoneChoices(switches, query) {
+    const results = [];
+    for (const device of switches) {
+      const deviceId = device.getData().id;
+      for (const zone of device.getZoneList()) {
+        if (!zone.enabled) continue;
+        results.push({
+          id: `${deviceId}:${zone.zone}`,
+          name: zone.name,
+          description: switches.length > 1 ? `${device.getName()}, zone ${zone.zone}` : `Zone ${zone.zone}`,
+        });
+      }
+    }
+    return results.filter((result) => result.name.toLowerCase().includes(query.toLowerCase()));
+  }
+
+  /**
+   * Switch every enabled zone of every paired switch on or off, one PUT /zones
+   * per switch. Throws naming the switches and zones that did not follow.
+   */
+  async setAllZoneStates(value) {
+    const switches = this.getDevices();
+    const results = await Promise.allSettled(switches.map((device) => device.setAllZoneStates(value)));
+
+    const failed = [];
+    results.forEach((result, index) => {
+      const name = switches[index].getName();
+      if (result.status === 'rejected') {
+        failed.push(`${name} (${result.reason.message})`);
+      } else if (result.value.length) {
+        failed.push(`${name} (${result.value.join(', ')})`);
+      }
+    });
+    if (failed.length) throw new Error(`Failed to turn zones ${value ? 'on' : 'off'}: ${failed.join('; ')}`);
+  }
+
+  /**
+   * Switch and zone number for a zone argument: an autocomplete result
+   * ({ id: "<device id>:<zone>" }) or a zone number from an old flow.
+   */
+  resolveZoneArg(zoneArg) {
+    if (zoneArg && typeof zoneArg === 'object') {
+      const [deviceId, zone] = zoneArg.id.split(':');
+      const device = this.getSwitch(deviceId);
+      if (!device) throw new Error(`The switch for "${zoneArg.name}" is no longer paired, select the zone again`);
+      return { device, zoneNum: parseInt(zone) };
+    }
+
+    const zoneNum = parseInt(zoneArg);
+    const switches = this.getDevices();
+    const device = switches.find((candidate) => zoneNum <= candidate.zoneCount) || switches[0];
+    if (!device) throw new Error('No Audioflow switch is paired');
+    return { device, zoneNum };
   }
 
   /**
-   * Handles the pairing process using UDP Discovery.
+   * Zone number for the zone argument of a card that also has a device
+   * argument: an autocomplete result of that switch or a zone number from
+   * an old flow.
+   */
+  _resolveDeviceZoneArg(device, zoneArg) {
+    if (zoneArg && typeof zoneArg === 'object') {
+      const [deviceId, zone] = zoneArg.id.split(':');
+      if (deviceId !== device.getData().id) {
+        throw new Error(`"${zoneArg.name}" is not a zone of ${device.getName()}, select the zone again`);
+      }
+      return parseInt(zone);
+    }
+    return parseInt(zoneArg);
+  }
+
+  _zoneArgMatches(zoneArg, state) {
+    if (zoneArg && typeof zoneArg === 'object') return zoneArg.id === `${state.deviceId}:${state.zone}`;
+    // Old flows picked a zone number on any switch
+    return String(zoneArg) === state.zone;
+  }
+
+  /**
+   * Scene cards carry a device argument, so they are registered once here
+   * and forwarded to the selected device.
+   */
+  _registerSceneFlowCards() {
+    const sceneAutocomplete = async (query, args) => {
+      return args.device.getSceneNames()
+        .filter((name) => name.toLowerCase().includes(query.toLowerCase()))
+        .map((name) => ({ name, id: name }));
+    };
+
+    this.homey.flow.getActionCard('save_scene').registerRunListener(async (args) => {
+      await args.device.saveScene(args.scene);
+      return true;
+    });
+
+    this.homey.flow.getActionCard('recall_scene')
+      .registerRunListener(async (args) => {
+        await args.device.recallScene(args.scene.id);
+        return true;
+      })
+      .registerArgumentAutocompleteListener('scene', sceneAutocomplete);
+
+    this.homey.flow.getConditionCard('is_scene_active')
+      .registerRunListener(async (args) => args.device.isSceneActive(args.scene.id))
+      .registerArgumentAutocompleteListener('scene', sceneAutocomplete);
+  }
+
+  /**
+   * Handles the pairing process: manual IP entry or a search through the
+   * app's discovery service.
    */
   async onPair(session) {
-    let discoverySocket = null;
-    const foundDevices = {};
+    let manualDevice = null;
+    let zoneDevices = false;
 
     this.log('Audioflow pairing session started');
 
-    // 1. Handle the 'list_devices' view (UDP Discovery)
-    session.setHandler('list_devices', async () => {
-      this.log('Discovery: Starting UDP broadcast...');
-      
-      return new Promise((resolve) => {
-        // Setup UDP Socket 
-        discoverySocket = dgram.createSocket('udp4');
-
-        discoverySocket.on('message', (msg, rinfo) => {
-          this._handleDiscoveryMessage(msg, rinfo, foundDevices);
-        });
+    // Zone devices mode is picked on the first view and stored on every switch added
+    session.setHandler('set_zone_devices', async ({ enabled }) => {
+      zoneDevices = !!enabled;
+      return true;
+    });
 
-        discoverySocket.on('error', (err) => {
-          this.error('Discovery error:', err);
-        });
+    // 1. Handle the 'pair' view (Manual IP entry, for networks that block UDP broadcast)
+    session.setHandler('set_ip', async ({ address }) => {
+      manualDevice = await this._probeManualAddress((address || '').trim());
+      return manualDevice;
+    });
 
-        // BIND TO RANDOM PORT (This is critical: it worked in your first test)
-        discoverySocket.bind(() => {
-          try {
-            discoverySocket.setBroadcast(true);
-            
-            // Send "afping" payload to port 10499 
-            const message = Buffer.from('afping');
-            
-            // Send to 255.255.255.255 (Global Broadcast)
-            discoverySocket.send(message, 0, message.length, 10499, '255.255.255.255', (err) => {
-               if (err) this.error('Failed to send broadcast:', err);
-               else this.log('Discovery: Broadcast sent to 255.255.255.255:10499');
-            });
-          } catch (err) {
-            this.error('Socket bind callback error:', err);
-          }
-        });
+    // 2. Handle the 'list_devices' view (Manual result or discovery)
+    session.setHandler('list_devices', async () => {
+      if (manualDevice) {
+        const device = manualDevice;
+        manualDevice = null;
+        device.settings.zone_devices = zoneDevices;
+        return [device];
+      }
 
-        // Wait 3 seconds for devices to respond before resolving the list
-        setTimeout(() => {
-          const deviceList = Object.values(foundDevices);
-          this.log(`Discovery: Found ${deviceList.length} devices.`);
-          resolve(deviceList);
-        }, 3000);
+      this.log('Discovery: Searching the network...');
+      const switches = await this.homey.app.discovery.discover();
+      const deviceList = switches.map(({ model, serial, address }) => {
+        const device = this._buildDeviceDescriptor(model, serial, address);
+        device.settings.zone_devices = zoneDevices;
+        return device;
       });
+      this.log(`Discovery: Found ${deviceList.length} devices.`);
+      return deviceList;
     });
+  }
 
-    // Clean up socket when the user closes the pair window
-    session.setHandler('disconnect', () => {
-      if (discoverySocket) {
-        try { discoverySocket.close(); } catch (err) { }
-        this.log('Discovery: Socket closed');
+  /**
+   * Builds the pairing descriptor. Shared by UDP discovery and manual pairing
+   * so both paths create identical devices.
+   */
+  _buildDeviceDescriptor(model, serial, address) {
+    // Create a unique, safe ID for Homey
+    const deviceId = serial || `AF_${address.replace(/\./g, '_')}`;
+
+    return {
+      name: `Audioflow ${model}`,
+      data: {
+        id: deviceId
+      },
+      settings: {
+        ip_address: address // Save IP for the device instance
+      },
+      store: {
+        model: model,
+        serial: serial
       }
-    });
+    };
   }
 
   /**
-   * Parses the UDP response packet.
+   * Validates a manually entered address by probing GET /switch.
    */
-  _handleDiscoveryMessage(msg, rinfo, foundDevices) {
+  async _probeManualAddress(address) {
+    if (!net.isIPv4(address)) {
+      throw new Error(this.homey.__('pair.error.invalid_ip'));
+    }
+
+    this.log(`Manual pairing: Probing ${address}...`);
+    const client = this._createProbeClient(address);
+    let switchData;
     try {
-      // 1. Validate Magic Number "afpong" 
-      const magic = msg.slice(0, 6).toString();
-      if (magic !== 'afpong') return;
-
-      // 2. Parse Model (8 bytes) 
-      const model = msg.slice(6, 14).toString().replace(/\0/g, '').trim();
-
-      // 3. Parse Serial (16 bytes) 
-      const serial = msg.slice(14, 30).toString().replace(/\0/g, '').trim();
-
-      // Create a unique, safe ID for Homey
-      const deviceId = serial || `AF_${rinfo.address.replace(/\./g, '_')}`;
-
-      // Prevent duplicates
-      if (!foundDevices[deviceId]) {
-        this.log(`Discovery: Found ${model} (${serial}) at ${rinfo.address}`);
-
-        foundDevices[deviceId] = {
-          name: `Audioflow ${model}`,
-          data: {
-            id: deviceId
-          },
-          settings: {
-            ip_address: rinfo.address // Save IP for the device instance
-          },
-          store: {
-            model: model,
-            serial: serial
-          }
-        };
-      }
+      switchData = await client.getSwitch();
     } catch (err) {
-      this.error('Error parsing discovery packet:', err);
+      this.error(`Manual pairing: Probe of ${address} failed:`, err.message);
+      if (err instanceof AudioflowTimeoutError) throw new Error(this.homey.__('pair.error.timeout'));
+      // Something answered, but not the way an Audioflow switch does
+      if (err instanceof AudioflowHttpError || err instanceof AudioflowResponseError) {
+        throw new Error(this.homey.__('pair.error.not_audioflow'));
+      }
+      throw new Error(this.homey.__('pair.error.connection_failed'));
+    } finally {
+      client.destroy();
     }
+
+    const model = switchData && typeof switchData.model === 'string' ? switchData.model.trim() : '';
+    const serial = switchData && typeof switchData.serial === 'string' ? switchData.serial.trim() : '';
+    if (!model || !serial) {
+      throw new Error(this.homey.__('pair.error.not_audioflow'));
+    }
+
+    this.log(`Manual pairing: Found ${model} (${serial}) at ${address}`);
+    this.homey.app.discovery.remember({ model, serial, address });
+    return this._buildDeviceDescriptor(model, serial, address);
+  }
+
+  /**
+   * The paired switch with the given data id, or undefined.
+   */
+  getSwitch(deviceId) {
+    return this.getDevices().find((device) => device.getData().id === deviceId);
+  }
+
+  _createProbeClient(address) {
+    return new AudioflowClient(address, { retries: 0, keepAlive: false });
   }
 
   /**
@@ -119,61 +370,30 @@ class AudioflowDriver extends Homey.Driver {
    */
   async onRepair(session, device) {
     this.log(`Repairing device ${device.getName()}...`);
-    let discoverySocket = null;
 
     session.setHandler('list_devices', async () => {
-      return new Promise((resolve) => {
-        discoverySocket = dgram.createSocket('udp4');
-        const currentSerial = device.getStoreValue('serial'); 
-        
-        discoverySocket.on('message', (msg, rinfo) => {
-          const magic = msg.slice(0, 6).toString();
-          if (magic === 'afpong') {
-            const serial = msg.slice(14, 30).toString().replace(/\0/g, '').trim();
-            
-            // If serial matches the device we are repairing, we found the new IP! 
-            if (serial === currentSerial) {
-              this.log(`Repair: Found new IP for ${serial}: ${rinfo.address}`);
-              
-              resolve([{
-                name: device.getName(),
-                data: { id: device.getData().id },
-                settings: { ip_address: rinfo.address } 
-              }]);
-              
-              try { discoverySocket.close(); } catch(e) {}
-              discoverySocket = null;
-            }
-          }
-        });
+      const address = await this.findDeviceAddress(device.getStoreValue('serial'));
+      if (!address) return []; // Return empty list if not found
 
-        // Use random port binding here as well
-        discoverySocket.bind(() => {
-          try {
-            discoverySocket.setBroadcast(true);
-            const message = Buffer.from('afping');
-            discoverySocket.send(message, 0, message.length, 10499, '255.255.255.255');
-          } catch (err) {
-             this.error('Repair socket error:', err);
-          }
-        });
+      this.log(`Repair: Found new IP for ${device.getStoreValue('serial')}: ${address}`);
+      await device.updateAddress(address);
 
-        // Timeout after 5s if not found
-        setTimeout(() => {
-          if (discoverySocket) {
-             try { discoverySocket.close(); } catch(e) {}
-             resolve([]); // Return empty list if not found
-          }
-        }, 5000);
-      });
-    });
-    
-    session.setHandler('disconnect', () => {
-      if (discoverySocket) {
-        try { discoverySocket.close(); } catch(e) {}
-      }
+      return [{
+        name: device.getName(),
+        data: { id: device.getData().id },
+        settings: { ip_address: address }
+      }];
     });
   }
+
+  /**
+   * Resolves with the current address of the switch with the given serial, or
+   * null when the app's discovery service cannot find it. Used by the repair
+   * wizard and by devices that lost their switch.
+   */
+  findDeviceAddress(serial, timeout) {
+    return this.homey.app.discovery.findAddress(serial, { timeout });
+  }
 }
 
 module.exports = AudioflowDriver;
\ No newline at end of file
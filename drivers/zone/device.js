@@ -0,0 +1,70 @@
+'use strict';
+
+const Homey = require('homey');
+
+/**
+ * One zone of an Audioflow switch as its own speaker device.
+ *
+ * The zone device has no client or poller of its own: commands go through the
+ * switch's AudioflowDevice and state, names and the enabled flag are read back
+ * whenever that switch reconciles its zones.
+ */
+class ZoneDevice extends Homey.Device {
+
+  async onInit() {
+    this.log('Zone device onInit started');
+
+    this.registerCapabilityListener('onoff', async (value) => {
+      const parent = this._getSwitch();
+      if (!parent) throw new Error('The switch for this zone is no longer paired');
+
+      this.log(`UI Button Action: Setting zone ${this.getStoreValue('zone')} to ${value}`);
+      parent.pauseZoneBinding(this.getStoreValue('zone'));
+      await parent.setZoneState(this.getStoreValue('zone'), value);
+    });
+
+    await this.refreshState();
+  }
+
+  _getSwitch() {
+    return this.homey.drivers.getDriver('audioflow').getSwitch(this.getStoreValue('deviceId'));
+  }
+
+  /**
+   * Why the zone cannot be used right now, or null when it can.
+   */
+  _getUnavailableReason(parent, zone) {
+    if (!parent) return 'The switch for this zone is no longer paired';
+    if (!parent.getSetting('zone_devices')) return 'Zone devices are turned off in the switch settings';
+    if (!parent.getAvailable()) return 'The switch is unavailable';
+    if (!zone || !zone.enabled) return 'This zone is disabled on the switch';
+    return null;
+  }
+
+  /**
+   * Copy state, name and availability from the switch.
+   */
+  async refreshState() {
+    const parent = this._getSwitch();
+    const zone = parent && parent.getZoneList().find((entry) => entry.zone === this.getStoreValue('zone'));
+
+    const reason = this._getUnavailableReason(parent, zone);
+    if (reason) {
+      await this.setUnavailable(reason).catch(this.error);
+      return;
+    }
+    if (!this.getAvailable()) await this.setAvailable().catch(this.error);
+
+    if (this.getCapabilityValue('onoff') !== zone.on) {
+      await this.setCapabilityValue('onoff', zone.on).catch(this.error);
+    }
+
+    // Devices cannot be renamed by the app, so a rename on the switch shows up in the settings
+    if (this.getSetting('zone_name') !== zone.name || this.getSetting('switch_name') !== parent.getName()) {
+      await this.setSettings({ zone_name: zone.name, switch_name: parent.getName() }).catch(this.error);
+    }
+  }
+
+}
+
+module.exports = ZoneDevice;
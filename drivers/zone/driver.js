@@ -0,0 +1,49 @@
+'use strict';
+
+const Homey = require('homey');
+
+class ZoneDriver extends Homey.Driver {
+
+  /**
+   * onInit is called when the driver is loaded.
+   */
+  async onInit() {
+    this.log('Zone driver has been initialized');
+
+    // Zone devices follow their switch's poller instead of polling themselves
+    this.homey.drivers.getDriver('audioflow').on('zones_updated', (audioflowDevice) => {
+      const deviceId = audioflowDevice.getData().id;
+      for (const zoneDevice of this.getDevices()) {
+        if (zoneDevice.getStoreValue('deviceId') === deviceId) zoneDevice.refreshState().catch(zoneDevice.error);
+      }
+    });
+  }
+
+  /**
+   * Lists the enabled zones of every switch that has zone devices turned on.
+   */
+  async onPair(session) {
+    session.setHandler('list_devices', async () => {
+      const switches = this.homey.drivers.getDriver('audioflow').getDevices()
+        .filter((audioflowDevice) => audioflowDevice.getSetting('zone_devices'));
+      if (switches.length === 0) throw new Error(this.homey.__('pair.error.no_zone_devices'));
+
+      const devices = [];
+      for (const audioflowDevice of switches) {
+        const deviceId = audioflowDevice.getData().id;
+        for (const zone of audioflowDevice.getZoneList()) {
+          if (!zone.enabled) continue;
+          devices.push({
+            name: zone.name,
+            data: { id: `${deviceId}_zone${zone.zone}` },
+            store: { deviceId, zone: zone.zone },
+          });
+        }
+      }
+      return devices;
+    });
+  }
+
+}
+
+module.exports = ZoneDriver;
@@ -0,0 +1,140 @@
+'use strict';
+
+const Homey = require('homey');
+
+/**
+ * A virtual device grouping zones from one or more Audioflow switches.
+ *
+ * Members are stored as [{ deviceId, zone }] and resolved against the paired
+ * switches on every use, so a switch that is removed simply drops out of the
+ * group. The group holds no connection of its own: commands go through each
+ * switch's device and state is read back from their zone capabilities.
+ */
+class ZoneGroupDevice extends Homey.Device {
+
+  async onInit() {
+    this.log('Zone group device onInit started');
+
+    if (!this.hasCapability('zone_group_state')) {
+      await this.addCapability('zone_group_state').catch(this.error);
+    }
+
+    this.registerCapabilityListener('onoff', async (value) => {
+      this.log(`UI Button Action: Setting group to ${value}`);
+      await this.setGroupState(value);
+    });
+
+    await this.refreshState();
+  }
+
+  getMembers() {
+    return this.getStoreValue('members') || [];
+  }
+
+  async setMembers(members) {
+    await this.setStoreValue('members', members);
+    await this.refreshState();
+  }
+
+  hasMember(audioflowDevice) {
+    const deviceId = audioflowDevice.getData().id;
+    return this.getMembers().some((member) => member.deviceId === deviceId);
+  }
+
+  /**
+   * Member zones grouped per paired switch: [{ device, zones: [zoneNum, ...] }].
+   */
+  _getMemberSwitches() {
+    const audioflowDriver = this.homey.drivers.getDriver('audioflow');
+    const switches = new Map();
+
+    for (const member of this.getMembers()) {
+      const device = audioflowDriver.getSwitch(member.deviceId);
+      if (!device) continue;
+
+      if (!switches.has(device)) switches.set(device, []);
+      switches.get(device).push(member.zone);
+    }
+
+    return [...switches].map(([device, zones]) => ({ device, zones }));
+  }
+
+  /**
+   * Switch every member zone on or off, with one command per switch.
+   * Switches that fail do not stop the others; they are named in the error.
+   */
+  async setGroupState(value) {
+    const switches = this._getMemberSwitches();
+    if (switches.length === 0) throw new Error('None of the switches in this group are paired');
+
+    const results = await Promise.allSettled(switches.map(({ device, zones }) => {
+      const changes = {};
+      for (const zoneNum of zones) changes[zoneNum] = value;
+      return device.setZones(changes);
+    }));
+
+    await this.refreshState();
+
+    const failed = [];
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failed.push(`${switches[index].device.getName()} (${result.reason.message})`);
+      }
+    });
+    if (failed.length) throw new Error(`Failed to switch ${failed.join(', ')}`);
+  }
+
+  /**
+   * Count member zones that are on. Zones hidden on their switch count as off.
+   */
+  _countZones() {
+    let on = 0;
+    let total = 0;
+
+    for (const { device, zones } of this._getMemberSwitches()) {
+      for (const zoneNum of zones) {
+        const capabilityId = `zone_btn_${zoneNum}`;
+        total++;
+        if (device.hasCapability(capabilityId) && device.getCapabilityValue(capabilityId)) on++;
+      }
+    }
+
+    return { on, total };
+  }
+
+  getGroupState() {
+    const { on, total } = this._countZones();
+    if (on === 0) return 'all_off';
+    return on === total ? 'all_on' : 'some_on';
+  }
+
+  /**
+   * Recompute the group from its members and fire the trigger when the
+   * overall state changes.
+   */
+  async refreshState() {
+    if (this._getMemberSwitches().length === 0) {
+      await this.setUnavailable('None of the switches in this group are paired').catch(this.error);
+      return;
+    }
+    if (!this.getAvailable()) await this.setAvailable().catch(this.error);
+
+    const { on, total } = this._countZones();
+    const state = this.getGroupState();
+    const previousState = this.getCapabilityValue('zone_group_state');
+
+    await this.setCapabilityValue('onoff', on > 0).catch(this.error);
+    if (previousState === state) return;
+
+    await this.setCapabilityValue('zone_group_state', state).catch(this.error);
+    if (previousState === null) return;
+
+    this.log(`Group state changed from ${previousState} to ${state}`);
+    this.homey.flow.getDeviceTriggerCard('group_state_changed')
+      .trigger(this, { zones_on: on, zones_total: total }, { state })
+      .catch(this.error);
+  }
+
+}
+
+module.exports = ZoneGroupDevice;
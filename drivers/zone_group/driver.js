@@ -0,0 +1,89 @@
+'use strict';
+
+const Homey = require('homey');
+const crypto = require('crypto');
+
+class ZoneGroupDriver extends Homey.Driver {
+
+  /**
+   * onInit is called when the driver is loaded.
+   */
+  async onInit() {
+    this.log('Zone group driver has been initialized');
+
+    this.homey.flow.getDeviceTriggerCard('group_state_changed').registerRunListener(async (args, state) => {
+      return args.state === state.state;
+    });
+
+    this.homey.flow.getConditionCard('group_state_is').registerRunListener(async (args) => {
+      return args.device.getGroupState() === args.state;
+    });
+
+    // Switches announce every reconciled poll or command response on their driver
+    this.homey.drivers.getDriver('audioflow').on('zones_updated', (audioflowDevice) => {
+      for (const group of this.getDevices()) {
+        if (group.hasMember(audioflowDevice)) group.refreshState().catch(group.error);
+      }
+    });
+  }
+
+  /**
+   * Pairing is a single custom view: pick zones from any paired switch and
+   * name the group.
+   */
+  async onPair(session) {
+    session.setHandler('list_zones', async () => {
+      return { repair: false, switches: this._listZones([]) };
+    });
+
+    session.setHandler('save_group', async ({ name, members }) => {
+      this._validateMembers(members);
+      return {
+        name: (name || '').trim() || 'Zone Group',
+        data: { id: crypto.randomUUID() },
+        store: { members },
+      };
+    });
+  }
+
+  async onRepair(session, device) {
+    session.setHandler('list_zones', async () => {
+      return { repair: true, switches: this._listZones(device.getMembers()) };
+    });
+
+    session.setHandler('save_group', async ({ members }) => {
+      this._validateMembers(members);
+      await device.setMembers(members);
+      return true;
+    });
+  }
+
+  /**
+   * Enabled zones of every paired switch, marking the ones already in the group.
+   */
+  _listZones(members) {
+    return this.homey.drivers.getDriver('audioflow').getDevices().map((audioflowDevice) => {
+      const deviceId = audioflowDevice.getData().id;
+      return {
+        deviceId,
+        name: audioflowDevice.getName(),
+        zones: audioflowDevice.getZoneList()
+          .filter((zone) => zone.enabled)
+          .map((zone) => ({
+            zone: zone.zone,
+            name: zone.name,
+            selected: members.some((member) => member.deviceId === deviceId && member.zone === zone.zone),
+          })),
+      };
+    });
+  }
+
+  _validateMembers(members) {
+    if (!Array.isArray(members) || members.length === 0) {
+      throw new Error(this.homey.__('pair.error.no_zones_selected'));
+    }
+  }
+
+}
+
+module.exports = ZoneGroupDriver;
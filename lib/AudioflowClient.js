@@ -1,25 +1,141 @@
 'use strict';
 
 const http = require('http');
+const {
+  AudioflowTimeoutError,
+  AudioflowConnectionError,
+  AudioflowHttpError,
+  AudioflowResponseError,
+  AudioflowFirmwareError,
+} = require('./AudioflowErrors');
+const AudioflowFirmware = require('./AudioflowFirmware');
+
+const SILENT_LOGGER = { log: () => {}, error: () => {} };
 
 class AudioflowClient {
-  constructor(ipAddress) {
+  /**
+   * @param {string} ipAddress
+   * @param {object} [options]
+   * @param {number} [options.port=80] HTTP port (the simulator in tools/ uses another)
+   * @param {number} [options.timeout=5000] Per-attempt timeout in ms
+   * @param {number} [options.retries=2] Extra attempts for requests that are safe to repeat
+   * @param {number} [options.retryDelay=250] Base back-off in ms, doubled per attempt plus jitter
+   * @param {boolean} [options.keepAlive=true] Reuse the connection between requests
+   * @param {number} [options.idleTimeout=1000] Close the kept-alive connection after this many ms without requests
+   * @param {object} [options.logger] Receives log() and error() calls, nothing is logged without one
+   * @param {function} [options.setTimeout] Timer for the retry back-off
+   */
+  constructor(ipAddress, options = {}) {
     this.ipAddress = ipAddress;
-    this.port = 80;
+    this.port = options.port || 80;
+    this.timeout = options.timeout || 5000;
+    this.retries = typeof options.retries === 'number' ? options.retries : 2;
+    this.retryDelay = typeof options.retryDelay === 'number' ? options.retryDelay : 250;
+    this.logger = options.logger || SILENT_LOGGER;
+    this.setTimeout = options.setTimeout || setTimeout;
+
+    // The switch runs a small embedded web server: keep a single connection open.
+    // Close it before the switch drops it while idle, otherwise the next request
+    // gets ECONNRESET, and a toggle cannot be retried.
+    this.agent = new http.Agent({
+      keepAlive: options.keepAlive !== false,
+      maxSockets: 1,
+      timeout: options.idleTimeout || 1000,
+    });
+
+    // Requests are chained so only one is in flight at a time
+    this._queue = Promise.resolve();
+
+    this.setFirmwareVersion(options.firmwareVersion || null);
+  }
+
+  /**
+   * Set the firmware version reported by GET /switch, used to reject calls
+   * the switch does not support before they reach it.
+   */
+  setFirmwareVersion(version) {
+    this.firmwareVersion = version;
+    this.features = AudioflowFirmware.getFeatures(version);
+  }
+
+  /**
+   * Throws the "firmware too old" error when the known firmware lacks the feature.
+   */
+  requireFeature(feature) {
+    if (!this.features[feature]) {
+      throw new AudioflowFirmwareError(AudioflowFirmware.describeUnsupported(feature, this.firmwareVersion));
+    }
+  }
+
+  /**
+   * Request an endpoint that needs a firmware feature. Firmware too old for
+   * it does not report its version either, so with an unknown version the
+   * switch's 400 or 404 is the only sign and becomes the same error.
+   */
+  async _requestFeature(feature, method, path, data = null) {
+    this.requireFeature(feature);
+    try {
+      return await this._request(method, path, data);
+    } catch (err) {
+      const versionKnown = AudioflowFirmware.parseVersion(this.firmwareVersion) !== null;
+      if (versionKnown || !(err instanceof AudioflowHttpError) || (err.statusCode !== 400 && err.statusCode !== 404)) throw err;
+      throw new AudioflowFirmwareError(AudioflowFirmware.describeUnsupported(feature, this.firmwareVersion));
+    }
+  }
+
+  /**
+   * Close the keep-alive connection. Call when the device is removed.
+   */
+  destroy() {
+    this.agent.destroy();
   }
 
   async _request(method, path, data = null) {
+    const run = this._queue.then(() => this._requestWithRetry(method, path, data));
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Only requests that set an absolute state may be repeated.
+   * A "T" toggle would flip the zone back, and /reboot_now would reboot twice.
+   */
+  _isRetryable(method, path, data) {
+    if (path === '/reboot_now') return false;
+    if (method === 'GET') return true;
+    return method === 'PUT' && data !== null && data.toString() !== 'T';
+  }
+
+  async _requestWithRetry(method, path, data) {
+    const attempts = this._isRetryable(method, path, data) ? this.retries + 1 : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._send(method, path, data);
+      } catch (err) {
+        const retryable = !(err instanceof AudioflowHttpError) || err.statusCode >= 500;
+        if (attempt >= attempts || !retryable) throw err;
+
+        const delay = this.retryDelay * 2 ** (attempt - 1) + Math.floor(Math.random() * this.retryDelay);
+        this.logger.log(`[Client] ${method} ${path} failed (${err.message}), retry ${attempt}/${attempts - 1} in ${delay}ms`);
+        await new Promise((resolve) => this.setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  _send(method, path, data) {
     return new Promise((resolve, reject) => {
       const options = {
         hostname: this.ipAddress,
         port: this.port,
         path: path,
         method: method,
+        agent: this.agent,
         headers: {
           'Content-Type': 'text/plain',
           'Content-Length': data !== null ? Buffer.byteLength(data.toString()) : 0
         },
-        timeout: 5000
+        timeout: this.timeout
       };
 
       // DEBUG LOG: See exactly what is being sent
@@ -31,24 +147,37 @@ class AudioflowClient {
         res.on('end', () => {
           // DEBUG LOG: See the hardware's response
           // console.log(`[HTTP Response] Status: ${res.statusCode} | Body: ${body}`);
-          
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new AudioflowHttpError(res.statusCode, body.trim()));
+            return;
+          }
+
+          if (!body.startsWith('{') && !body.startsWith('[')) {
+            resolve(body);
+            return;
+          }
+
           try {
-            resolve(body.startsWith('{') || body.startsWith('[') ? JSON.parse(body) : body);
+            resolve(JSON.parse(body));
           } catch (err) {
-            resolve(body);
+            reject(new AudioflowResponseError(`Invalid JSON from ${method} ${path}: ${err.message}`, body));
           }
         });
       });
 
       req.on('error', (err) => {
-        console.error(`[HTTP Error] ${err.message}`);
-        reject(new Error(`HTTP request failed: ${err.message}`));
+        // Already rejected by the timeout handler below
+        if (req.timedOut) return;
+        this.logger.error(`[HTTP Error] ${err.message}`);
+        reject(new AudioflowConnectionError(`HTTP request failed: ${err.message}`, err.code));
       });
       
       req.on('timeout', () => { 
+        req.timedOut = true;
         req.destroy(); 
-        console.error('[HTTP Timeout] Device did not respond');
-        reject(new Error('Request timeout')); 
+        this.logger.error('[HTTP Timeout] Device did not respond');
+        reject(new AudioflowTimeoutError()); 
       });
 
       if (data !== null) req.write(data.toString());
@@ -72,10 +201,10 @@ class AudioflowClient {
   }
 
   /**
-   * GET /zones/N - Get specific zone state
+   * GET /zones/N - Get specific zone state (firmware v1.10.000035+)
    */
   async getZone(zoneNumber) {
-    return await this._request('GET', `/zones/${zoneNumber}`);
+    return await this._requestFeature('zoneQuery', 'GET', `/zones/${zoneNumber}`);
   }
 
   /**
@@ -83,10 +212,20 @@ class AudioflowClient {
    */
   async setZoneState(homeyZoneNum, state) {
     const payload = state ? '1' : '0';
-    console.log(`[Client] Sending PUT to /zones/${homeyZoneNum} with payload: ${payload}`);
+    this.logger.log(`[Client] Sending PUT to /zones/${homeyZoneNum} with payload: ${payload}`);
     return await this._request('PUT', `/zones/${homeyZoneNum}`, payload);
   }
 
+  /**
+   * PUT /zones/N - Toggle zone state (payload "T", firmware v1.10.000035+)
+   * Returns the GET /zones body with the new state
+   */
+  async toggleZone(homeyZoneNum) {
+    this.requireFeature('toggle');
+    this.logger.log(`[Client] Sending PUT to /zones/${homeyZoneNum} with payload: T`);
+    return await this._requestFeature('toggle', 'PUT', `/zones/${homeyZoneNum}`, 'T');
+  }
+
   /**
    * PUT /zones - Set all zone states
    */
@@ -94,20 +233,57 @@ class AudioflowClient {
     return await this._request('PUT', '/zones', statesString);
   }
 
+  /**
+   * Switch and zone names are plain ASCII, max 15 characters.
+   * Throws a descriptive error instead of letting the switch truncate the name.
+   */
+  static validateName(name) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Name must not be empty');
+    }
+    if (!/^[\x20-\x7E]+$/.test(name)) {
+      throw new Error(`Name "${name}" may only contain plain ASCII characters (no å, ä, ö or emoji)`);
+    }
+    if (name.length > 15) {
+      throw new Error(`Name "${name}" is ${name.length} characters, the switch allows at most 15`);
+    }
+  }
+
+  /**
+   * PUT /switch - Set switch name
+   * Returns the new switch name
+   */
+  async setSwitchName(name) {
+    AudioflowClient.validateName(name);
+    return await this._request('PUT', '/switch', name);
+  }
+
   /**
    * PUT /zonename/N - Set zone name and enabled state
    */
   async setZoneName(zoneNumber, name, enabled = true) {
+    AudioflowClient.validateName(name);
     const enabledFlag = enabled ? '1' : '0';
-    const truncatedName = name.substring(0, 15); // Max 15 chars
-    const payload = `${enabledFlag}${truncatedName}`;
+    const payload = `${enabledFlag}${name}`;
     
     // Use the 1-based zoneNumber for the path
     return await this._request('PUT', `/zonename/${zoneNumber}`, payload);
   }
 
   /**
-   * PUT /exclusive - Set Exclusive Mode
+   * PUT /zonename/N - Enable or disable a zone. The firmware has no call for
+   * the flag alone, so the name the switch already holds (as read from
+   * GET /zones) is sent back unchecked, even one the switch would not take
+   * from setZoneName.
+   */
+  async setZoneEnabled(zoneNumber, enabled) {
+    const zone = (await this.getZones()).find((candidate) => parseInt(candidate.id) === zoneNumber - 1);
+    if (!zone) throw new Error(`Zone ${zoneNumber} not found on the switch`);
+    return await this._request('PUT', `/zonename/${zoneNumber}`, `${enabled ? '1' : '0'}${zone.name || ''}`);
+  }
+
+  /**
+   * PUT /exclusive - Set Exclusive Mode (firmware v1.10.000035+)
    * Accepts: 'enable' or 'disable'
    */
   async setExclusiveMode(mode) {
@@ -115,14 +291,14 @@ class AudioflowClient {
       throw new Error('Mode must be "enable" or "disable"');
     }
     // FIX: Added leading slash to path '/exclusive'
-    return await this._request('PUT', '/exclusive', mode);
+    return await this._requestFeature('exclusive', 'PUT', '/exclusive', mode);
   }
 
   /**
-   * GET /reboot_now - Reboot switch
+   * GET /reboot_now - Reboot switch (firmware v1.10.000035+)
    */
   async reboot() {
-    return await this._request('GET', '/reboot_now');
+    return await this._requestFeature('reboot', 'GET', '/reboot_now');
   }
 }
 
@@ -0,0 +1,169 @@
+'use strict';
+
+/**
+ * UDP discovery (Audioflow Network API v2-0).
+ *
+ * A client broadcasts "afping" to port 10499 and every switch answers with
+ * "afpong" + model (8 bytes) + serial (16 bytes), NUL padded.
+ */
+
+const dgram = require('dgram');
+const os = require('os');
+
+const DISCOVERY_PORT = 10499;
+const BROADCAST_ADDRESS = '255.255.255.255';
+
+// Larger subnets are only swept in the /24 around our own address
+const MIN_SWEEP_PREFIX = 24;
+
+/**
+ * Extracts model and serial from an "afpong" packet, or null for anything else.
+ */
+function parsePong(msg) {
+  // 1. Validate Magic Number "afpong"
+  const magic = msg.slice(0, 6).toString();
+  if (magic !== 'afpong') return null;
+
+  // 2. Parse Model (8 bytes)
+  const model = msg.slice(6, 14).toString().replace(/\0/g, '').trim();
+  if (!model) return null; // Truncated packet
+
+  // 3. Parse Serial (16 bytes)
+  const serial = msg.slice(14, 30).toString().replace(/\0/g, '').trim();
+
+  return { model, serial };
+}
+
+function ipToInt(address) {
+  return address.split('.').reduce((value, octet) => ((value << 8) | parseInt(octet, 10)) >>> 0, 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map((shift) => (value >>> shift) & 255).join('.');
+}
+
+/**
+ * IPv4 subnets of the network interfaces, skipping loopback:
+ * [{ address, network, broadcast, prefix }], addresses as dotted strings.
+ */
+function getLocalSubnets(interfaces = os.networkInterfaces()) {
+  const subnets = [];
+  for (const entries of Object.values(interfaces)) {
+    for (const entry of entries || []) {
+      // Node 18.0 - 18.3 reports the family as a number
+      const isIPv4 = entry.family === 'IPv4' || entry.family === 4;
+      if (!isIPv4 || entry.internal) continue;
+
+      const address = ipToInt(entry.address);
+      const mask = ipToInt(entry.netmask);
+      subnets.push({
+        address: entry.address,
+        network: intToIp((address & mask) >>> 0),
+        broadcast: intToIp((address | ~mask) >>> 0),
+        prefix: entry.netmask.split('.').reduce((bits, octet) => bits + parseInt(octet, 10).toString(2).replace(/0/g, '').length, 0),
+      });
+    }
+  }
+  return subnets;
+}
+
+/**
+ * The directed broadcast address of every interface, then the global one.
+ * A Homey with several interfaces only sends 255.255.255.255 out of one.
+ */
+function getBroadcastAddresses(interfaces) {
+  const addresses = getLocalSubnets(interfaces).map((subnet) => subnet.broadcast);
+  return [...new Set([...addresses, BROADCAST_ADDRESS])];
+}
+
+/**
+ * Host addresses of a subnet without our own, for a unicast sweep.
+ */
+function getSubnetHosts(subnet) {
+  const prefix = Math.max(subnet.prefix, MIN_SWEEP_PREFIX);
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  const network = (ipToInt(subnet.address) & mask) >>> 0;
+  const broadcast = (network | ~mask) >>> 0;
+
+  const hosts = [];
+  for (let host = network + 1; host < broadcast; host++) {
+    const address = intToIp(host);
+    if (address !== subnet.address) hosts.push(address);
+  }
+  return hosts;
+}
+
+/**
+ * Send "afping" and collect the switches that answer within the timeout.
+ * Resolves with [{ model, serial, address }], one entry per address.
+ *
+ * @param {object} [options]
+ * @param {number} [options.timeout=3000] How long to wait for answers in ms
+ * @param {string[]} [options.addresses] Where to send the ping, every interface's broadcast address by default
+ * @param {number} [options.port=10499] UDP port the switches listen on
+ * @param {number} [options.attempts=3] Pings per address, spread over the timeout (UDP may be lost)
+ * @param {string} [options.serial] Resolve as soon as this switch answers
+ * @param {function} [options.log] Receives progress messages
+ */
+function discover(options = {}) {
+  const timeout = options.timeout || 3000;
+  const addresses = options.addresses || getBroadcastAddresses();
+  const port = options.port || DISCOVERY_PORT;
+  const attempts = options.attempts || 3;
+  const log = options.log || (() => {});
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+    const found = new Map();
+    const timers = [];
+    let finished = false;
+
+    const finish = (err) => {
+      if (finished) return;
+      finished = true;
+      timers.forEach(clearTimeout);
+      try { socket.close(); } catch (closeErr) { }
+      if (err) reject(err);
+      else resolve([...found.values()]);
+    };
+
+    socket.on('message', (msg, rinfo) => {
+      const info = parsePong(msg);
+      if (!info || found.has(rinfo.address)) return;
+
+      found.set(rinfo.address, { ...info, address: rinfo.address });
+      if (options.serial && info.serial === options.serial) finish();
+    });
+
+    socket.on('error', finish);
+
+    const ping = () => {
+      const message = Buffer.from('afping');
+      for (const address of addresses) {
+        // One unreachable interface must not stop the others
+        socket.send(message, 0, message.length, port, address, (err) => {
+          if (err) log(`afping to ${address} failed: ${err.message}`);
+        });
+      }
+    };
+
+    // Bind to a random port, the switch answers to the sender's port
+    socket.bind(() => {
+      if (finished) return;
+      socket.setBroadcast(true);
+      for (let attempt = 0; attempt < attempts; attempt++) {
+        timers.push(setTimeout(ping, Math.floor((timeout / attempts) * attempt)));
+      }
+      timers.push(setTimeout(() => finish(), timeout));
+    });
+  });
+}
+
+module.exports = {
+  DISCOVERY_PORT,
+  parsePong,
+  getLocalSubnets,
+  getBroadcastAddresses,
+  getSubnetHosts,
+  discover,
+};
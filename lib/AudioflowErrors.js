@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Error types thrown by AudioflowClient, so callers can tell a switch that
+ * is offline from one that answered with something unexpected.
+ */
+
+class AudioflowError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The switch did not answer within the request timeout.
+ */
+class AudioflowTimeoutError extends AudioflowError {
+  constructor(message = 'Request timeout') {
+    super(message, 'ETIMEDOUT');
+  }
+}
+
+/**
+ * The connection could not be made or was dropped (ECONNREFUSED, ECONNRESET, EHOSTUNREACH, ...).
+ */
+class AudioflowConnectionError extends AudioflowError {
+  constructor(message, code) {
+    super(message, code || 'ECONNECTION');
+  }
+}
+
+/**
+ * The switch answered with a non-2xx HTTP status.
+ */
+class AudioflowHttpError extends AudioflowError {
+  constructor(statusCode, body) {
+    super(`HTTP ${statusCode}${body ? `: ${body}` : ''}`, 'EHTTPSTATUS');
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The switch answered with a body that could not be parsed.
+ */
+class AudioflowResponseError extends AudioflowError {
+  constructor(message, body) {
+    super(message, 'EBADRESPONSE');
+    this.body = body;
+  }
+}
+
+/**
+ * The call is not supported by the firmware running on the switch.
+ */
+class AudioflowFirmwareError extends AudioflowError {
+  constructor(message) {
+    super(message, 'EFIRMWARE');
+  }
+}
+
+module.exports = {
+  AudioflowError,
+  AudioflowTimeoutError,
+  AudioflowConnectionError,
+  AudioflowHttpError,
+  AudioflowResponseError,
+  AudioflowFirmwareError,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Firmware version handling. Versions look like "1.10.000035"
+ * (GET /switch "version" field, only reported by newer firmware).
+ */
+
+// Minimum firmware per feature, from the Audioflow Network API v2-0 document
+const FEATURES = {
+  zoneQuery: { minVersion: '1.10.000035', label: 'reading a single zone' }, // GET /zones/N
+  toggle: { minVersion: '1.10.000035', label: 'toggling a zone' }, // PUT /zones/N with "T"
+  exclusive: { minVersion: '1.10.000035', label: 'exclusive mode' }, // PUT /exclusive
+  reboot: { minVersion: '1.10.000035', label: 'rebooting the switch' }, // GET /reboot_now
+};
+
+/**
+ * "1.10.000035" -> [1, 10, 35], or null if it is not a version string.
+ */
+function parseVersion(version) {
+  if (typeof version !== 'string' || !/^\d+(\.\d+)*$/.test(version.trim())) return null;
+  return version.trim().split('.').map((part) => parseInt(part, 10));
+}
+
+/**
+ * Returns <0, 0 or >0 like a sort comparator. Unparseable versions sort first.
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a) || [];
+  const right = parseVersion(b) || [];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Feature map for a firmware version. An unknown version enables everything:
+ * firmware without the "version" field may still be new enough, and the
+ * client turns the switch's 400/404 into a "firmware too old" error if not.
+ */
+function getFeatures(version) {
+  const known = parseVersion(version) !== null;
+  const features = {};
+  for (const [id, feature] of Object.entries(FEATURES)) {
+    features[id] = !known || compareVersions(version, feature.minVersion) >= 0;
+  }
+  return features;
+}
+
+/**
+ * Human readable "firmware too old" message for a feature.
+ */
+function describeUnsupported(feature, version) {
+  const { label, minVersion } = FEATURES[feature];
+  const running = parseVersion(version) ? `the switch runs v${version}` : 'the switch firmware is older than that';
+  return `Firmware too old: ${label} needs v${minVersion} or newer, ${running}`;
+}
+
+module.exports = {
+  FEATURES,
+  parseVersion,
+  compareVersions,
+  getFeatures,
+  describeUnsupported,
+};
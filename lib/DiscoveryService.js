@@ -0,0 +1,190 @@
+'use strict';
+
+const AudioflowClient = require('./AudioflowClient');
+const AudioflowDiscovery = require('./AudioflowDiscovery');
+
+const SWEEP_CONCURRENCY = 32;
+
+/**
+ * Finds switches on the local network and remembers where they were.
+ *
+ * Discovery pings every interface's broadcast address a few times, also asks
+ * the addresses it already knows, and when nothing answers the ping falls back
+ * to probing GET /switch on every host of the local subnets (for networks that
+ * block UDP broadcast). Everything found goes into a serial -> address cache
+ * that pairing, repair and devices that lost their switch all use.
+ *
+ * The app owns one instance; the CLI in tools/ creates its own.
+ */
+class DiscoveryService {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout=3000] How long a UDP discovery listens in ms
+   * @param {number} [options.attempts=3] afping rounds per discovery
+   * @param {number} [options.udpPort=10499] UDP port the switches listen on
+   * @param {number} [options.httpPort=80] HTTP port for probes and the sweep
+   * @param {number} [options.probeTimeout=1000] Per-host timeout of probes in ms
+   * @param {string[]} [options.addresses] Broadcast addresses, every interface's by default
+   * @param {function} [options.getInterfaces] Returns os.networkInterfaces() style data
+   * @param {object} [options.cache] Saved cache: { serial: { address, model, seenAt } }
+   * @param {function} [options.onCacheChange] Called with the cache after every change
+   * @param {function} [options.log]
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 3000;
+    this.attempts = options.attempts || 3;
+    this.udpPort = options.udpPort || AudioflowDiscovery.DISCOVERY_PORT;
+    this.httpPort = options.httpPort || 80;
+    this.probeTimeout = options.probeTimeout || 1000;
+    this.addresses = options.addresses || null;
+    this.getInterfaces = options.getInterfaces || null;
+    this.onCacheChange = options.onCacheChange || (() => {});
+    this.log = options.log || (() => {});
+
+    this.cache = { ...(options.cache || {}) };
+  }
+
+  /**
+   * Cached address of a switch, or null. It may be stale, use findAddress to check.
+   */
+  lookup(serial) {
+    return this.cache[serial] ? this.cache[serial].address : null;
+  }
+
+  remember({ serial, model, address }) {
+    if (!serial) return;
+
+    const previous = this.cache[serial];
+    this.cache[serial] = { address, model: model || (previous && previous.model) || null, seenAt: Date.now() };
+    if (!previous || previous.address !== address) {
+      this.log(`Discovery: ${serial} is at ${address}`);
+      this.onCacheChange({ ...this.cache });
+    }
+  }
+
+  /**
+   * All switches that can be found: [{ model, serial, address }].
+   * Sweeps the subnets when nothing answers UDP: the cached addresses only
+   * cover the switches seen before.
+   */
+  async discover({ timeout = this.timeout, sweep = true } = {}) {
+    const found = new Map();
+    const add = (sw) => { if (!found.has(sw.serial || sw.address)) found.set(sw.serial || sw.address, sw); };
+
+    const answered = await this._ping({ timeout });
+    answered.forEach(add);
+
+    const cached = Object.keys(this.cache).filter((serial) => !found.has(serial));
+    (await this._probeAll(cached.map((serial) => this.cache[serial].address))).forEach(add);
+
+    if (answered.length === 0 && sweep) {
+      this.log('Discovery: No answer to afping, sweeping the local subnets');
+      (await this.sweep()).forEach(add);
+    }
+
+    const switches = [...found.values()];
+    switches.forEach((sw) => this.remember(sw));
+    return switches;
+  }
+
+  /**
+   * Address of the switch with this serial, or null when it cannot be found.
+   * Tries the cached address first, then UDP, then the subnet sweep.
+   */
+  async findAddress(serial, { timeout = this.timeout, sweep = true } = {}) {
+    if (!serial) return null;
+
+    const cached = this.lookup(serial);
+    if (cached) {
+      const [sw] = await this._probeAll([cached]);
+      if (sw && sw.serial === serial) return this._found(sw);
+    }
+
+    const answered = await this._ping({ timeout, serial });
+    let match = answered.find((sw) => sw.serial === serial);
+
+    if (!match && sweep) {
+      this.log(`Discovery: ${serial} did not answer afping, sweeping the local subnets`);
+      match = (await this.sweep({ serial })).find((sw) => sw.serial === serial);
+    }
+
+    return match ? this._found(match) : null;
+  }
+
+  /**
+   * Probe GET /switch on every host of the local subnets. Stops early once
+   * the given serial is found.
+   */
+  async sweep({ serial } = {}) {
+    const interfaces = this.getInterfaces ? this.getInterfaces() : undefined;
+    const hosts = [];
+    for (const subnet of AudioflowDiscovery.getLocalSubnets(interfaces)) {
+      hosts.push(...AudioflowDiscovery.getSubnetHosts(subnet));
+    }
+    return this._probeAll([...new Set(hosts)], serial);
+  }
+
+  _found(sw) {
+    this.remember(sw);
+    return sw.address;
+  }
+
+  _ping({ timeout, serial }) {
+    const interfaces = this.getInterfaces ? this.getInterfaces() : undefined;
+    return AudioflowDiscovery.discover({
+      timeout,
+      serial,
+      attempts: this.attempts,
+      port: this.udpPort,
+      addresses: this.addresses || AudioflowDiscovery.getBroadcastAddresses(interfaces),
+      log: this.log,
+    }).catch((err) => {
+      this.log(`Discovery: afping failed: ${err.message}`);
+      return [];
+    });
+  }
+
+  /**
+   * GET /switch on each address, a limited number at a time. Resolves with
+   * the ones that answer like a switch.
+   */
+  async _probeAll(addresses, serial) {
+    const found = [];
+    const queue = [...addresses];
+
+    const worker = async () => {
+      while (queue.length) {
+        if (serial && found.some((sw) => sw.serial === serial)) return;
+        const sw = await this._probe(queue.shift());
+        if (sw) found.push(sw);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(SWEEP_CONCURRENCY, queue.length) }, worker));
+    return found;
+  }
+
+  async _probe(address) {
+    const client = this._createProbeClient(address);
+    try {
+      const switchData = await client.getSwitch();
+      if (!switchData || typeof switchData.model !== 'string' || !switchData.model) return null;
+      return { model: switchData.model, serial: switchData.serial || '', address };
+    } catch (err) {
+      return null;
+    } finally {
+      client.destroy();
+    }
+  }
+
+  _createProbeClient(address) {
+    return new AudioflowClient(address, {
+      port: this.httpPort,
+      timeout: this.probeTimeout,
+      retries: 0,
+      keepAlive: false,
+    });
+  }
+}
+
+module.exports = DiscoveryService;
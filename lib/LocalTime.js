@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Wall-clock dates in the Homey's time zone, for the usage totals and the
+ * weekly schedule. Uses Intl, so clock changes follow the time zone database.
+ */
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Wall-clock parts of a timestamp in the given time zone, as numbers apart
+ * from the weekday ('Mon' to 'Sun').
+ */
+function localParts(time, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = type === 'weekday' ? value : parseInt(value);
+  });
+  return parts;
+}
+
+/**
+ * Milliseconds the time zone is ahead of UTC at the given time.
+ */
+function utcOffset(time, timeZone) {
+  const { year, month, day, hour, minute, second } = localParts(time, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Timestamp of a local date and hour in the given time zone. Days past the
+ * end of the month roll over like Date.UTC. The offset is looked up twice
+ * because it can change between the UTC guess and the real time (on the day
+ * clocks go forward or back); an hour skipped by the change moves forward.
+ */
+function localTime(timeZone, year, month, day, hour = 0) {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+  const guess = wallClock - utcOffset(wallClock, timeZone);
+  return wallClock - utcOffset(guess, timeZone);
+}
+
+module.exports = {
+  WEEKDAYS,
+  localParts,
+  utcOffset,
+  localTime,
+};
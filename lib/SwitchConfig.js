@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Helpers for switch configuration backups.
+ *
+ * A backup holds what has to be set up again after a switch is replaced or
+ * factory reset, built from GET /switch and GET /zones:
+ *
+ *   {
+ *     "version": 1,
+ *     "model": "3S-4Z",
+ *     "serial": "00000000",
+ *     "firmware": "1.10.000037",
+ *     "name": "My Switch",
+ *     "exclusive": false,
+ *     "zones": [{ "zone": 1, "name": "Kitchen", "enabled": true }, ...]
+ *   }
+ *
+ * "exclusive" is null when the firmware does not report it. Names set in the
+ * Audioflow app can be empty or hold characters PUT /zonename cannot store;
+ * a restore leaves those names as they are and lists them in the preview.
+ */
+
+const AudioflowClient = require('./AudioflowClient');
+
+const CONFIG_VERSION = 1;
+
+/**
+ * Build a backup from the GET /switch and GET /zones bodies.
+ */
+function fromSwitch(switchData, zones) {
+  return {
+    version: CONFIG_VERSION,
+    model: switchData.model || null,
+    serial: switchData.serial || null,
+    firmware: switchData.version || null,
+    name: switchData.name,
+    exclusive: typeof switchData.exclusive === 'boolean' ? switchData.exclusive : null,
+    zones: zones.map((zone, index) => ({
+      zone: index + 1,
+      name: zone.name,
+      enabled: zone.enabled === 1,
+    })),
+  };
+}
+
+/**
+ * Parse and check a backup, from JSON text or an object (Web API body).
+ * Throws a descriptive error for a malformed backup; names the switch cannot
+ * store are left for diff to report.
+ */
+function parse(input) {
+  let config = input;
+  if (typeof input === 'string') {
+    try {
+      config = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`The backup is not valid JSON: ${err.message}`);
+    }
+  }
+
+  if (!config || typeof config !== 'object' || !Array.isArray(config.zones)) {
+    throw new Error('The backup must be an object with a "zones" list');
+  }
+  if (config.version !== CONFIG_VERSION) {
+    throw new Error(`Unsupported backup version ${config.version}, expected ${CONFIG_VERSION}`);
+  }
+  if (typeof config.name !== 'undefined' && typeof config.name !== 'string') throw new Error('"name" must be text');
+  if (config.exclusive !== null && typeof config.exclusive !== 'undefined' && typeof config.exclusive !== 'boolean') {
+    throw new Error('"exclusive" must be true, false or null');
+  }
+
+  const seen = new Set();
+  for (const zone of config.zones) {
+    if (!zone || !Number.isInteger(zone.zone) || zone.zone < 1) {
+      throw new Error('Every zone needs a "zone" number from 1');
+    }
+    if (seen.has(zone.zone)) throw new Error(`Zone ${zone.zone} is listed twice`);
+    seen.add(zone.zone);
+    if (typeof zone.name !== 'string') throw new Error(`Zone ${zone.zone} needs a "name"`);
+    if (typeof zone.enabled !== 'boolean') throw new Error(`Zone ${zone.zone} needs "enabled": true or false`);
+  }
+
+  return config;
+}
+
+/**
+ * Why the switch would refuse a name, or null if it takes it.
+ */
+function nameProblem(name) {
+  try {
+    AudioflowClient.validateName(name);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * What applying the backup to a switch would change. A name the switch
+ * cannot store keeps the current one and is listed in "invalid" instead.
+ *
+ * @param {object} current Backup of the switch as it is now
+ * @param {object} backup Backup to apply
+ * @param {object} options
+ * @param {number} options.zoneCount Zones of the target model; extra zones are skipped
+ * @param {boolean} [options.includeName=true] Also restore the switch name
+ * @param {boolean} [options.exclusive=true] The target supports exclusive mode
+ * @returns {{ changes: object[], skipped: number[], invalid: object[] }}
+ */
+function diff(current, backup, { zoneCount, includeName = true, exclusive = true }) {
+  const changes = [];
+  const skipped = [];
+  const invalid = [];
+
+  if (includeName && typeof backup.name === 'string' && backup.name !== current.name) {
+    const problem = nameProblem(backup.name);
+    if (problem) invalid.push({ zone: null, name: backup.name, problem });
+    else changes.push({ type: 'name', from: current.name, to: backup.name });
+  }
+
+  for (const zone of backup.zones) {
+    if (zone.zone > zoneCount) {
+      skipped.push(zone.zone);
+      continue;
+    }
+
+    const now = current.zones.find((candidate) => candidate.zone === zone.zone);
+    if (now && now.name === zone.name && now.enabled === zone.enabled) continue;
+
+    let { name } = zone;
+    const problem = nameProblem(name);
+    if (problem) {
+      invalid.push({ zone: zone.zone, name, problem });
+      // PUT /zonename always sends a name, so the enabled flag can only go out with the current one
+      if (!now || now.enabled === zone.enabled || nameProblem(now.name)) continue;
+      name = now.name;
+    }
+
+    changes.push({
+      type: 'zone',
+      zone: zone.zone,
+      from: now ? { name: now.name, enabled: now.enabled } : null,
+      to: { name, enabled: zone.enabled },
+    });
+  }
+
+  if (exclusive && typeof backup.exclusive === 'boolean' && backup.exclusive !== current.exclusive) {
+    changes.push({ type: 'exclusive', from: current.exclusive, to: backup.exclusive });
+  }
+
+  return { changes, skipped, invalid };
+}
+
+function describeZone(zone) {
+  return `"${zone.name}" (${zone.enabled ? 'enabled' : 'disabled'})`;
+}
+
+/**
+ * Human readable lines for a diff, for the settings preview.
+ */
+function formatDiff({ changes, skipped, invalid = [] }, zoneCount) {
+  const lines = changes.map((change) => {
+    if (change.type === 'name') return `Switch name: "${change.from}" → "${change.to}"`;
+    if (change.type === 'exclusive') return `Exclusive mode: ${change.from ? 'on' : 'off'} → ${change.to ? 'on' : 'off'}`;
+    return `Zone ${change.zone}: ${change.from ? describeZone(change.from) : 'not set'} → ${describeZone(change.to)}`;
+  });
+
+  if (skipped.length) {
+    lines.push(`Skipped zone ${skipped.join(', ')}: this switch has ${zoneCount} zones`);
+  }
+  for (const { zone, problem } of invalid) {
+    lines.push(`${zone ? `Zone ${zone}` : 'Switch'} name kept, the switch cannot store the one in the backup: ${problem}`);
+  }
+  if (changes.length === 0) lines.unshift('Nothing to change, the switch already matches the backup');
+  return lines;
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  fromSwitch,
+  parse,
+  diff,
+  formatDiff,
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Parsing helpers for the GET /switch response.
+ */
+
+/**
+ * Parse the "wifi" field, e.g. "MYSSID [11] (-7dBm)", into
+ * { ssid: 'MYSSID', channel: 11, rssi: -7 }. Returns null if it does not match.
+ */
+function parseWifi(wifi) {
+  if (typeof wifi !== 'string') return null;
+
+  const match = wifi.trim().match(/^(.*?)\s*\[(\d+)\]\s*\((-?\d+)\s*dBm\)$/i);
+  if (!match) return null;
+
+  return {
+    ssid: match[1],
+    channel: parseInt(match[2], 10),
+    rssi: parseInt(match[3], 10),
+  };
+}
+
+module.exports = {
+  parseWifi,
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Next occurrence of a weekly slot ("every Sunday at 04:00") in the Homey's
+ * time zone, used for the scheduled reboot window.
+ */
+
+const { WEEKDAYS, localParts, localTime } = require('./LocalTime');
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Timestamp of the next slot after now, or null if day is not one of DAYS ("off").
+ */
+function nextOccurrence(now, timeZone, day, hour) {
+  const dayIndex = DAYS.indexOf(day);
+  if (dayIndex === -1) return null;
+
+  // Count calendar days rather than milliseconds, a week with a clock change is an hour shorter or longer
+  const { year, month, day: date, weekday } = localParts(now, timeZone);
+  const slotDate = date - WEEKDAYS.indexOf(weekday) + dayIndex;
+  const slot = localTime(timeZone, year, month, slotDate, hour);
+  return slot > now ? slot : localTime(timeZone, year, month, slotDate + 7, hour);
+}
+
+module.exports = {
+  DAYS,
+  nextOccurrence,
+};
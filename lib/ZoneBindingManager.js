@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Keeps the zone bindings of every switch (see ZoneBindings.js) connected to
+ * the devices they follow.
+ *
+ * Each binding listens to one capability of another Homey device and turns
+ * its zone on or off when that value changes, after the configured delay.
+ * When a binding is set up (a saved setting or an app start) the zone takes
+ * the device's current value straight away. A
+ * zone switched by hand pauses its binding: the next change of the device it
+ * follows takes over again.
+ *
+ * The app owns one instance. Devices come from getDevices, which resolves
+ * with Homey Web API devices ({ id, name, capabilitiesObj,
+ * makeCapabilityInstance }) keyed by id.
+ */
+class ZoneBindingManager {
+  /**
+   * @param {object} options
+   * @param {function} options.getDevices Resolves with the Homey devices keyed by id
+   * @param {function} [options.setTimeout]
+   * @param {function} [options.clearTimeout]
+   * @param {function} [options.log]
+   * @param {function} [options.error]
+   */
+  constructor(options) {
+    this.getDevices = options.getDevices;
+    this.setTimeout = options.setTimeout || setTimeout;
+    this.clearTimeout = options.clearTimeout || clearTimeout;
+    this.log = options.log || (() => {});
+    this.error = options.error || (() => {});
+
+    // ownerId -> [{ binding, applyZone, instance, lastValue, paused, timer }]
+    this.entries = {};
+  }
+
+  /**
+   * Replace the bindings of one switch. applyZone(zone, on) switches its zone.
+   * A binding with a deviceId, as returned by an earlier call, follows that
+   * device even after it was renamed. Throws without changing anything when a
+   * device or capability is not found, unless partial is set: then the
+   * bindings that resolve are kept and the others are returned as problems.
+   *
+   * @returns {Promise<{ bindings: object[], problems: string[] }>} The bindings
+   *   in effect, each with the deviceId it resolved to
+   */
+  async setBindings(ownerId, bindings, applyZone, { partial = false } = {}) {
+    const results = bindings.length ? await this._resolve(bindings) : [];
+    const problems = results.filter((result) => result.problem).map((result) => result.problem);
+    if (problems.length && !partial) throw new Error(problems[0]);
+    const resolved = results.filter((result) => !result.problem);
+
+    this.remove(ownerId);
+    const inEffect = resolved.map(({ binding, device }) => ({ ...binding, deviceId: device.id }));
+    if (!resolved.length) return { bindings: inEffect, problems };
+
+    this.entries[ownerId] = resolved.map(({ binding, device }) => {
+      const entry = {
+        binding,
+        applyZone,
+        lastValue: device.capabilitiesObj[binding.capability].value,
+        paused: false,
+        timer: null,
+      };
+      entry.instance = device.makeCapabilityInstance(binding.capability, (value) => this._onChange(entry, value));
+      return entry;
+    });
+    this.log(`Zone bindings: ${ownerId} follows ${resolved.map(({ binding, device }) => `${device.name} (zone ${binding.zone})`).join(', ')}`);
+
+    for (const entry of this.entries[ownerId]) {
+      const on = this._targetState(entry.binding, entry.lastValue);
+      if (on !== null) await this._apply(entry, on);
+    }
+    return { bindings: inEffect, problems };
+  }
+
+  /**
+   * A zone was switched by hand: ignore its binding until the device it
+   * follows changes again.
+   */
+  pause(ownerId, zone) {
+    for (const entry of this.entries[ownerId] || []) {
+      if (entry.binding.zone !== zone) continue;
+      this._clearTimer(entry);
+      if (!entry.paused) this.log(`Zone bindings: zone ${zone} of ${ownerId} was switched by hand, paused until "${entry.binding.device}" changes`);
+      entry.paused = true;
+    }
+  }
+
+  isPaused(ownerId, zone) {
+    return (this.entries[ownerId] || []).some((entry) => entry.binding.zone === zone && entry.paused);
+  }
+
+  /**
+   * Stop listening for a switch, e.g. when it is deleted.
+   */
+  remove(ownerId) {
+    for (const entry of this.entries[ownerId] || []) {
+      this._clearTimer(entry);
+      entry.instance.destroy();
+    }
+    delete this.entries[ownerId];
+  }
+
+  /**
+   * The device of each binding, or the problem finding it.
+   */
+  async _resolve(bindings) {
+    const devices = Object.values(await this.getDevices());
+
+    return bindings.map((binding) => {
+      try {
+        return { binding, device: this._findDevice(devices, binding) };
+      } catch (err) {
+        return { binding, problem: err.message };
+      }
+    });
+  }
+
+  _findDevice(devices, binding) {
+    const prefix = `Zone ${binding.zone}`;
+    let matches = binding.deviceId ? devices.filter((device) => device.id === binding.deviceId) : [];
+    if (!matches.length) matches = devices.filter((device) => device.id === binding.device);
+    if (!matches.length) {
+      const name = binding.device.toLowerCase();
+      matches = devices.filter((device) => (device.name || '').toLowerCase() === name);
+    }
+
+    if (!matches.length) throw new Error(`${prefix}: no device named "${binding.device}"`);
+    if (matches.length > 1) throw new Error(`${prefix}: several devices are named "${binding.device}", rename one or use its id`);
+
+    const [device] = matches;
+    const capability = (device.capabilitiesObj || {})[binding.capability];
+    if (!capability) throw new Error(`${prefix}: "${device.name}" has no capability "${binding.capability}"`);
+    if (capability.type !== 'boolean') throw new Error(`${prefix}: "${binding.capability}" of "${device.name}" is not an on/off capability`);
+
+    return device;
+  }
+
+  _onChange(entry, value) {
+    // Devices report the same value again now and then, only changes count
+    if (typeof value !== 'boolean' || value === entry.lastValue) return null;
+    entry.lastValue = value;
+    entry.paused = false;
+    this._clearTimer(entry);
+
+    const { binding } = entry;
+    const on = this._targetState(binding, value);
+    if (on === null) return null;
+
+    const delay = (on ? binding.onDelay : binding.offDelay) * 1000;
+    if (!delay) return this._apply(entry, on);
+
+    entry.timer = this.setTimeout(() => {
+      entry.timer = null;
+      this._apply(entry, on);
+    }, delay);
+    return null;
+  }
+
+  /**
+   * The zone state a device value asks for, or null if the binding leaves it alone.
+   */
+  _targetState(binding, value) {
+    if (typeof value !== 'boolean') return null;
+    const on = binding.invert ? !value : value;
+    if (binding.only && binding.only !== (on ? 'on' : 'off')) return null;
+    return on;
+  }
+
+  async _apply(entry, on) {
+    const { zone, device } = entry.binding;
+    try {
+      await entry.applyZone(zone, on);
+    } catch (err) {
+      this.error(`Zone bindings: could not turn zone ${zone} ${on ? 'on' : 'off'} for "${device}": ${err.message}`);
+    }
+  }
+
+  _clearTimer(entry) {
+    if (!entry.timer) return;
+    this.clearTimeout(entry.timer);
+    entry.timer = null;
+  }
+}
+
+module.exports = ZoneBindingManager;
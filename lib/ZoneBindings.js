@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Helpers for zone bindings: a zone that follows an on/off (boolean)
+ * capability of another Homey device.
+ *
+ * In the device settings the bindings are edited as text, one per line:
+ *
+ *   1: Patio door / alarm_contact, off delay 60
+ *   all: Amplifier plug, off only
+ *   2: Hallway motion / alarm_motion, invert, on delay 5
+ *
+ * The zones come first ("all", or numbers separated by commas), then the
+ * device name or id and the capability ("onoff" when left out). Options:
+ * "invert", "on delay <seconds>", "off delay <seconds>", "on only" and
+ * "off only" (only follow the device one way).
+ */
+
+const DEFAULT_CAPABILITY = 'onoff';
+const MAX_DELAY = 24 * 60 * 60; // seconds
+
+function parseZones(text, zoneCount, lineNum) {
+  if (text.toLowerCase() === 'all') {
+    return Array.from({ length: zoneCount }, (_, index) => index + 1);
+  }
+
+  return text.split(',').map((part) => {
+    const value = part.trim();
+    const zone = /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+    if (!(zone >= 1 && zone <= zoneCount)) {
+      throw new Error(`Line ${lineNum}: zone "${value}" must be a number from 1 to ${zoneCount} or "all"`);
+    }
+    return zone;
+  });
+}
+
+function parseOption(option, binding, lineNum) {
+  if (/^invert$/i.test(option)) {
+    binding.invert = true;
+    return;
+  }
+
+  const only = option.match(/^(on|off) only$/i);
+  if (only) {
+    const direction = only[1].toLowerCase();
+    if (binding.only && binding.only !== direction) {
+      throw new Error(`Line ${lineNum}: use "on only" or "off only", not both`);
+    }
+    binding.only = direction;
+    return;
+  }
+
+  const delay = option.match(/^(on|off) delay (\d+)\s*s?$/i);
+  if (delay) {
+    const seconds = parseInt(delay[2], 10);
+    if (seconds > MAX_DELAY) throw new Error(`Line ${lineNum}: a delay can be at most ${MAX_DELAY} seconds`);
+    binding[delay[1].toLowerCase() === 'on' ? 'onDelay' : 'offDelay'] = seconds;
+    return;
+  }
+
+  throw new Error(`Line ${lineNum}: unknown option "${option}", use invert, on delay <seconds>, off delay <seconds>, on only or off only`);
+}
+
+/**
+ * Parse the binding editor text into
+ * [{ zone, device, capability, invert, onDelay, offDelay, only }],
+ * with the delays in seconds and only null, 'on' or 'off'.
+ * Throws with the offending line number if a line is invalid.
+ */
+function parseBindings(text, zoneCount) {
+  const bindings = [];
+  const lines = (text || '').split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNum = index + 1;
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Line ${lineNum}: expected "Zone: Device / capability"`);
+    }
+
+    const zones = parseZones(line.substring(0, separator).trim(), zoneCount, lineNum);
+    const [target, ...options] = line.substring(separator + 1).split(',').map((part) => part.trim());
+
+    const slash = target.lastIndexOf('/');
+    const device = (slash === -1 ? target : target.substring(0, slash)).trim();
+    const capability = slash === -1 ? DEFAULT_CAPABILITY : target.substring(slash + 1).trim();
+    if (!device) throw new Error(`Line ${lineNum}: device name is missing`);
+    if (!capability) throw new Error(`Line ${lineNum}: capability is missing after "/"`);
+
+    const binding = { device, capability, invert: false, onDelay: 0, offDelay: 0, only: null };
+    options.filter(Boolean).forEach((option) => parseOption(option, binding, lineNum));
+
+    for (const zone of zones) {
+      const existing = bindings.find((entry) => entry.zone === zone);
+      if (existing) {
+        throw new Error(`Line ${lineNum}: zone ${zone} already follows "${existing.device}"`);
+      }
+      bindings.push({ zone, ...binding });
+    }
+  });
+
+  return bindings;
+}
+
+module.exports = {
+  parseBindings,
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Helpers for zone scenes (named presets of zone on/off states).
+ *
+ * A scene is stored as an array of booleans, one per zone (index 0 = Zone 1).
+ * In the device settings the scenes are edited as text, one scene per line:
+ *
+ *   Dinner: 1 1 0 0
+ *   Party: 1 1 0 1
+ */
+
+const MAX_ZONES = 4;
+
+/**
+ * Build the PUT /zones payload ("0 1 1 0") for a list of zone states.
+ * Zones the model does not have are padded with 0.
+ */
+function toZonesPayload(states) {
+  const digits = [];
+  for (let i = 0; i < MAX_ZONES; i++) {
+    digits.push(states[i] ? '1' : '0');
+  }
+  return digits.join(' ');
+}
+
+/**
+ * Parse the scene editor text into { name: [bool, ...] }.
+ * Throws with the offending line number if a line is invalid.
+ */
+function parseScenes(text, zoneCount) {
+  const scenes = {};
+  const lines = (text || '').split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const separator = line.lastIndexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Line ${index + 1}: expected "Name: 1 0 1 0"`);
+    }
+
+    const name = line.substring(0, separator).trim();
+    const digits = line.substring(separator + 1).trim().split(/\s+/);
+
+    if (!name) throw new Error(`Line ${index + 1}: scene name is missing`);
+    if (digits.length !== zoneCount || digits.some((d) => d !== '0' && d !== '1')) {
+      throw new Error(`Line ${index + 1}: "${name}" needs ${zoneCount} values of 0 or 1`);
+    }
+
+    scenes[name] = digits.map((d) => d === '1');
+  });
+
+  return scenes;
+}
+
+/**
+ * Parse a zone pattern such as "1 0 1 -" into [true, false, true, null],
+ * where null ("-") leaves the zone unchanged. "10 1-" style without spaces
+ * is accepted too.
+ */
+function parsePattern(text, zoneCount) {
+  const compact = (text || '').replace(/\s+/g, '');
+  if (compact.length !== zoneCount || !/^[01-]+$/.test(compact)) {
+    throw new Error(`Pattern needs ${zoneCount} values of 0, 1 or - (leave unchanged), e.g. "${'1 0 - -'.substring(0, zoneCount * 2 - 1)}"`);
+  }
+  return compact.split('').map((value) => (value === '-' ? null : value === '1'));
+}
+
+/**
+ * Format scenes back to the editor text.
+ */
+function formatScenes(scenes) {
+  return Object.entries(scenes || {})
+    .map(([name, states]) => `${name}: ${states.map((s) => (s ? '1' : '0')).join(' ')}`)
+    .join('\n');
+}
+
+module.exports = {
+  toZonesPayload,
+  parseScenes,
+  parsePattern,
+  formatScenes,
+};
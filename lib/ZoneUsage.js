@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * Helpers for zone usage history.
+ *
+ * The history is a list of zone transitions, oldest first:
+ *
+ *   [{ zone: 1, on: true, at: 1760860800000 }, { zone: 1, on: false, at: ... }]
+ *
+ * A zone counts as off before its first recorded transition.
+ */
+
+const { WEEKDAYS, localParts, localTime } = require('./LocalTime');
+
+const MAX_HISTORY_ENTRIES = 500;
+
+/**
+ * Append a transition, dropping the oldest entries beyond the limit.
+ */
+function addEntry(history, entry, maxEntries = MAX_HISTORY_ENTRIES) {
+  const next = [...(history || []), entry];
+  return next.length > maxEntries ? next.slice(next.length - maxEntries) : next;
+}
+
+/**
+ * Milliseconds a zone was on between from and to.
+ */
+function onTimeBetween(history, zoneNum, from, to) {
+  let total = 0;
+  let onSince = null;
+
+  for (const entry of history || []) {
+    if (entry.zone !== zoneNum) continue;
+    if (entry.at >= to) break;
+
+    if (entry.on && onSince === null) onSince = entry.at;
+    if (!entry.on && onSince !== null) {
+      total += Math.max(0, entry.at - Math.max(onSince, from));
+      onSince = null;
+    }
+  }
+
+  if (onSince !== null) total += Math.max(0, to - Math.max(onSince, from));
+  return total;
+}
+
+/**
+ * Timestamp of the last local midnight.
+ */
+function startOfDay(now, timeZone) {
+  const { year, month, day } = localParts(now, timeZone);
+  return localTime(timeZone, year, month, day);
+}
+
+/**
+ * Timestamp of the last local Monday midnight.
+ */
+function startOfWeek(now, timeZone) {
+  const { year, month, day, weekday } = localParts(now, timeZone);
+  return localTime(timeZone, year, month, day - WEEKDAYS.indexOf(weekday));
+}
+
+/**
+ * Format the history as CSV, one transition per line.
+ */
+function formatCsv(history, zoneNames = {}) {
+  const lines = ['time,zone,name,state'];
+  for (const entry of history || []) {
+    const name = String(zoneNames[entry.zone] || `Zone ${entry.zone}`).replace(/"/g, '""');
+    lines.push(`${new Date(entry.at).toISOString()},${entry.zone},"${name}",${entry.on ? 'on' : 'off'}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  MAX_HISTORY_ENTRIES,
+  addEntry,
+  onTimeBetween,
+  startOfDay,
+  startOfWeek,
+  formatCsv,
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const AudioflowClient = require('../lib/AudioflowClient');
+const {
+  AudioflowTimeoutError,
+  AudioflowConnectionError,
+  AudioflowHttpError,
+  AudioflowResponseError,
+  AudioflowFirmwareError,
+} = require('../lib/AudioflowErrors');
+const { startSimulator, resetSimulator } = require('./support/switches');
+
+describe('AudioflowClient', () => {
+  let simulator;
+  let client;
+
+  before(async () => {
+    simulator = await startSimulator({ rebootTime: 0 });
+  });
+
+  after(async () => {
+    await simulator.stop();
+  });
+
+  beforeEach(() => {
+    if (client) client.destroy();
+    client = new AudioflowClient('127.0.0.1', { port: simulator.httpPort, retryDelay: 5, timeout: 500 });
+    resetSimulator(simulator);
+  });
+
+  after(() => client.destroy());
+
+  describe('payload encoding', () => {
+    it('sends 1 and 0 to PUT /zones/N', async () => {
+      await client.setZoneState(2, true);
+      await client.setZoneState(3, false);
+      assert.deepEqual(simulator.requests, [
+        { method: 'PUT', path: '/zones/2', body: '1' },
+        { method: 'PUT', path: '/zones/3', body: '0' },
+      ]);
+    });
+
+    it('sends T to toggle a zone', async () => {
+      await client.toggleZone(1);
+      assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zones/1', body: 'T' }]);
+    });
+
+    it('sends the space separated states to PUT /zones', async () => {
+      await client.setAllZones('0 1 1 0');
+      assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zones', body: '0 1 1 0' }]);
+    });
+
+    it('prefixes the zone name with the enabled flag', async () => {
+      await client.setZoneName(2, 'Lounge', true);
+      await client.setZoneName(3, 'Study', false);
+      assert.equal(simulator.requests[0].body, '1Lounge');
+      assert.equal(simulator.requests[1].body, '0Study');
+    });
+
+    it('rejects names the switch would truncate or mangle', async () => {
+      await assert.rejects(client.setZoneName(1, 'A very long zone name'), /at most 15/);
+      await assert.rejects(client.setSwitchName('Köket'), /plain ASCII/);
+      await assert.rejects(client.setSwitchName(''), /must not be empty/);
+      assert.equal(simulator.requests.length, 0);
+    });
+
+    it('only accepts enable or disable for exclusive mode', async () => {
+      await assert.rejects(client.setExclusiveMode('on'), /enable" or "disable/);
+      assert.equal(await client.setExclusiveMode('enable'), 'enabled');
+    });
+  });
+
+  describe('response parsing', () => {
+    it('parses GET /switch', async () => {
+      const info = await client.getSwitch();
+      assert.equal(info.model, '3S-4Z');
+      assert.equal(info.serial, '00000000');
+      assert.equal(info.version, '1.10.000037');
+    });
+
+    it('returns the zone list from GET /zones with 0-based ids', async () => {
+      const zones = await client.getZones();
+      assert.equal(zones.length, 4);
+      assert.deepEqual(zones[0], { id: '0', name: 'Kitchen', enabled: 1, state: 'off' });
+    });
+
+    it('returns the full GET /zones body from zone commands', async () => {
+      const response = await client.setZoneState(1, true);
+      assert.equal(response.zones[0].state, 'on');
+    });
+
+    it('returns plain text bodies as strings', async () => {
+      assert.equal(await client.reboot(), 'Rebooting now');
+    });
+  });
+
+  describe('firmware gating', () => {
+    it('rejects newer calls on old firmware without contacting the switch', async () => {
+      client.setFirmwareVersion('1.09.000020');
+      await assert.rejects(client.toggleZone(1), AudioflowFirmwareError);
+      await assert.rejects(client.setExclusiveMode('enable'), /Firmware too old/);
+      await assert.rejects(client.reboot(), AudioflowFirmwareError);
+      await assert.rejects(client.getZone(1), AudioflowFirmwareError);
+      assert.equal(simulator.requests.length, 0);
+    });
+
+    it('allows everything when the version is unknown', async () => {
+      client.setFirmwareVersion(null);
+      await client.toggleZone(1);
+      assert.equal(simulator.requests.length, 1);
+    });
+
+    it('reports old firmware that does not send its version when the switch refuses the call', async () => {
+      client.setFirmwareVersion(null);
+      simulator.state.firmware = '1.10.000030';
+      try {
+        const message = 'the switch firmware is older than that';
+        await assert.rejects(client.toggleZone(1), { name: 'AudioflowFirmwareError', message: new RegExp(`toggling a zone .*${message}`) });
+        await assert.rejects(client.setExclusiveMode('enable'), { name: 'AudioflowFirmwareError', message: /^Firmware too old: exclusive mode/ });
+        await assert.rejects(client.reboot(), AudioflowFirmwareError);
+        await assert.rejects(client.getZone(1), AudioflowFirmwareError);
+
+        // Other endpoints keep their HTTP errors
+        await assert.rejects(client.setZoneState(9, true), AudioflowHttpError);
+      } finally {
+        simulator.state.firmware = '1.10.000037';
+      }
+    });
+  });
+
+  describe('retries', () => {
+    it('retries a GET that was dropped', async () => {
+      simulator.dropNext(1);
+      const zones = await client.getZones();
+      assert.equal(zones.length, 4);
+    });
+
+    it('retries a PUT that sets an absolute state', async () => {
+      simulator.dropNext(2);
+      await client.setZoneState(1, true);
+      assert.equal(simulator.state.zones[0].state, 'on');
+    });
+
+    it('never retries a toggle', async () => {
+      simulator.dropNext(1);
+      await assert.rejects(client.toggleZone(1), AudioflowConnectionError);
+      assert.equal(simulator.state.zones[0].state, 'off');
+      assert.equal(simulator.requests.length, 0);
+    });
+
+    it('never retries a reboot', async () => {
+      simulator.dropNext(1);
+      await assert.rejects(client.reboot(), AudioflowConnectionError);
+      assert.equal(simulator.requests.length, 0);
+    });
+
+    it('closes the kept-alive connection before the switch does', async () => {
+      const other = new AudioflowClient('127.0.0.1', { port: simulator.httpPort, idleTimeout: 50 });
+      try {
+        await other.getSwitch();
+        await other.getZones();
+        assert.equal(Object.values(other.agent.freeSockets).flat().length, 1);
+
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        assert.equal(Object.values(other.agent.freeSockets).flat().length, 0);
+        await other.toggleZone(1);
+        assert.equal(simulator.state.zones[0].state, 'on');
+      } finally {
+        other.destroy();
+      }
+    });
+
+    it('waits between attempts with the timer and logger it was given', async () => {
+      const delays = [];
+      const logs = [];
+      const other = new AudioflowClient('127.0.0.1', {
+        port: simulator.httpPort,
+        retryDelay: 5,
+        timeout: 500,
+        setTimeout: (fn, ms) => { delays.push(ms); return setTimeout(fn, ms); },
+        logger: { log: (message) => logs.push(message), error: () => {} },
+      });
+      try {
+        simulator.dropNext(1);
+        await other.getZones();
+        assert.equal(delays.length, 1);
+        assert.match(logs[0], /^\[Client\] GET \/zones failed .*, retry 1\/2 in \d+ms$/);
+      } finally {
+        other.destroy();
+      }
+    });
+
+    it('gives up after the configured retries', async () => {
+      simulator.dropNext(3);
+      await assert.rejects(client.getSwitch(), AudioflowConnectionError);
+    });
+
+    it('runs one request at a time', async () => {
+      simulator.latency = 20;
+      try {
+        await Promise.all([client.setZoneState(1, true), client.getZones(), client.setZoneState(2, true)]);
+      } finally {
+        simulator.latency = 0;
+      }
+      assert.deepEqual(simulator.requests.map((request) => request.path), ['/zones/1', '/zones', '/zones/2']);
+    });
+  });
+
+  describe('errors', () => {
+    let server;
+    let port;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/missing') { res.writeHead(404); res.end('Not found'); return; }
+        if (req.url === '/broken') { res.end('{"zones": ['); return; }
+        if (req.url === '/slow') return; // never answers
+        res.end('ok');
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    after(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('types HTTP status errors', async () => {
+      const other = new AudioflowClient('127.0.0.1', { port, retries: 0 });
+      const err = await other._request('GET', '/missing').catch((e) => e);
+      other.destroy();
+      assert.ok(err instanceof AudioflowHttpError);
+      assert.equal(err.statusCode, 404);
+    });
+
+    it('types unparseable bodies', async () => {
+      const other = new AudioflowClient('127.0.0.1', { port, retries: 0 });
+      await assert.rejects(other._request('GET', '/broken'), AudioflowResponseError);
+      other.destroy();
+    });
+
+    it('types timeouts', async () => {
+      const other = new AudioflowClient('127.0.0.1', { port, retries: 0, timeout: 50 });
+      await assert.rejects(other._request('GET', '/slow'), AudioflowTimeoutError);
+      other.destroy();
+    });
+
+    it('types refused connections', async () => {
+      const other = new AudioflowClient('127.0.0.1', { port: 1, retries: 0 });
+      const err = await other.getSwitch().catch((e) => e);
+      other.destroy();
+      assert.ok(err instanceof AudioflowConnectionError);
+      assert.equal(err.code, 'ECONNREFUSED');
+    });
+  });
+});
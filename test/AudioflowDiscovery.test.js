@@ -0,0 +1,65 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AudioflowDiscovery = require('../lib/AudioflowDiscovery');
+const AudioflowSimulator = require('../tools/audioflow-simulator');
+
+function pong(model, serial) {
+  return new AudioflowSimulator({ model, serial }).buildPong();
+}
+
+const interfaces = {
+  lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true }],
+  eth0: [
+    { address: '192.168.1.20', netmask: '255.255.255.0', family: 'IPv4', internal: false },
+    { address: 'fe80::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false },
+  ],
+  wlan0: [{ address: '10.0.5.7', netmask: '255.255.0.0', family: 4, internal: false }],
+};
+
+describe('AudioflowDiscovery', () => {
+  describe('parsePong', () => {
+    it('reads model and serial', () => {
+      assert.deepEqual(AudioflowDiscovery.parsePong(pong('3S-4Z', '12345678')), { model: '3S-4Z', serial: '12345678' });
+    });
+
+    it('ignores packets that are not an afpong', () => {
+      assert.equal(AudioflowDiscovery.parsePong(Buffer.from('afping')), null);
+      assert.equal(AudioflowDiscovery.parsePong(Buffer.from('hello world, not audioflow')), null);
+    });
+
+    it('ignores truncated packets and keeps an empty serial', () => {
+      assert.equal(AudioflowDiscovery.parsePong(Buffer.from('afpong')), null);
+      assert.deepEqual(AudioflowDiscovery.parsePong(pong('3S-2Z', '').subarray(0, 14)), { model: '3S-2Z', serial: '' });
+    });
+  });
+
+  describe('subnets', () => {
+    it('lists the IPv4 subnets of every interface but loopback', () => {
+      assert.deepEqual(AudioflowDiscovery.getLocalSubnets(interfaces), [
+        { address: '192.168.1.20', network: '192.168.1.0', broadcast: '192.168.1.255', prefix: 24 },
+        { address: '10.0.5.7', network: '10.0.0.0', broadcast: '10.0.255.255', prefix: 16 },
+      ]);
+    });
+
+    it('pings each directed broadcast address and the global one', () => {
+      assert.deepEqual(AudioflowDiscovery.getBroadcastAddresses(interfaces), ['192.168.1.255', '10.0.255.255', '255.255.255.255']);
+    });
+
+    it('sweeps at most the /24 around our own address', () => {
+      const [home, large] = AudioflowDiscovery.getLocalSubnets(interfaces);
+
+      const hosts = AudioflowDiscovery.getSubnetHosts(home);
+      assert.equal(hosts.length, 253);
+      assert.equal(hosts[0], '192.168.1.1');
+      assert.equal(hosts.at(-1), '192.168.1.254');
+      assert.equal(hosts.includes('192.168.1.20'), false);
+
+      const limited = AudioflowDiscovery.getSubnetHosts(large);
+      assert.equal(limited.length, 253);
+      assert.equal(limited[0], '10.0.5.1');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DiscoveryService = require('../lib/DiscoveryService');
+const { startSimulator } = require('./support/switches');
+
+describe('DiscoveryService', () => {
+  let udpSimulator;
+  let httpSimulator;
+
+  before(async () => {
+    udpSimulator = await startSimulator({ udpPort: 0, model: '3S-2Z', serial: '12345678' });
+    httpSimulator = await startSimulator({ model: '3S-4Z', serial: '87654321' });
+  });
+
+  after(async () => {
+    await udpSimulator.stop();
+    await httpSimulator.stop();
+  });
+
+  // Pings 127.0.0.1 only, where the UDP simulator listens
+  function createUdpService(options = {}) {
+    return new DiscoveryService({
+      addresses: ['127.0.0.1'],
+      udpPort: udpSimulator.udpPort,
+      httpPort: udpSimulator.httpPort,
+      getInterfaces: () => ({}),
+      ...options,
+    });
+  }
+
+  // No UDP answers; the only "subnet" is 127.0.0.0/30, so the sweep probes 127.0.0.1
+  function createSweepService(options = {}) {
+    return new DiscoveryService({
+      addresses: ['127.0.0.1'],
+      udpPort: httpSimulator.httpPort,
+      httpPort: httpSimulator.httpPort,
+      timeout: 200,
+      getInterfaces: () => ({ eth0: [{ address: '127.0.0.2', netmask: '255.255.255.252', family: 'IPv4', internal: false }] }),
+      ...options,
+    });
+  }
+
+  it('lists each switch once and caches its address', async () => {
+    const saved = [];
+    const service = createUdpService({ timeout: 300, onCacheChange: (cache) => saved.push(cache) });
+
+    // Every ping is answered, the switch is still listed once
+    assert.deepEqual(await service.discover(), [{ model: '3S-2Z', serial: '12345678', address: '127.0.0.1' }]);
+    assert.equal(service.lookup('12345678'), '127.0.0.1');
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0]['12345678'].address, '127.0.0.1');
+
+    // Seeing it at the same address again does not save again
+    await service.discover();
+    assert.equal(saved.length, 1);
+  });
+
+  it('resolves as soon as the wanted switch answers', async () => {
+    const service = createUdpService({ timeout: 5000 });
+
+    const started = Date.now();
+    assert.equal(await service.findAddress('12345678'), '127.0.0.1');
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  it('checks the cached address before searching', async () => {
+    const service = createSweepService({
+      timeout: 5000,
+      cache: { 87654321: { address: '127.0.0.1', model: '3S-4Z', seenAt: 0 } },
+    });
+
+    const started = Date.now();
+    assert.equal(await service.findAddress('87654321', { sweep: false }), '127.0.0.1');
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  it('sweeps the local subnet when nothing answers afping', async () => {
+    const service = createSweepService();
+
+    assert.deepEqual(await service.discover({ sweep: false }), []);
+    assert.deepEqual(await service.discover(), [{ model: '3S-4Z', serial: '87654321', address: '127.0.0.1' }]);
+
+    const fresh = createSweepService();
+    assert.equal(await fresh.findAddress('87654321'), '127.0.0.1');
+    assert.equal(await fresh.findAddress('00000000'), null);
+  });
+
+  it('also sweeps when only cached addresses answer', async () => {
+    // A switch seen before, on the other host of the swept subnet
+    const known = await startSimulator({ host: '127.0.0.2', httpPort: httpSimulator.httpPort, serial: '11112222' });
+    try {
+      const service = createSweepService({ cache: { 11112222: { address: '127.0.0.2', model: '3S-4Z', seenAt: 0 } } });
+      const switches = await service.discover();
+
+      assert.deepEqual(switches.map((sw) => sw.serial).sort(), ['11112222', '87654321']);
+      assert.equal(service.lookup('87654321'), '127.0.0.1');
+    } finally {
+      await known.stop();
+    }
+  });
+});
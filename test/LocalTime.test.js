@@ -0,0 +1,42 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LocalTime = require('../lib/LocalTime');
+
+const at = (iso) => Date.parse(iso);
+
+describe('LocalTime', () => {
+  describe('localParts', () => {
+    it('returns the wall clock and weekday of the given time zone', () => {
+      // Sunday 23:30 UTC is already Monday in Stockholm
+      assert.deepEqual(LocalTime.localParts(at('2026-10-18T23:30:00Z'), 'Europe/Stockholm'), {
+        weekday: 'Mon', year: 2026, month: 10, day: 19, hour: 1, minute: 30, second: 0,
+      });
+      assert.equal(LocalTime.localParts(at('2026-10-18T23:30:00Z'), 'UTC').weekday, 'Sun');
+    });
+  });
+
+  describe('utcOffset', () => {
+    it('follows the clock changes of the time zone', () => {
+      assert.equal(LocalTime.utcOffset(at('2026-01-15T12:00:00Z'), 'Europe/Stockholm'), 60 * 60 * 1000);
+      assert.equal(LocalTime.utcOffset(at('2026-07-15T12:00:00Z'), 'Europe/Stockholm'), 2 * 60 * 60 * 1000);
+      assert.equal(LocalTime.utcOffset(at('2026-07-15T12:00:00Z'), 'UTC'), 0);
+    });
+  });
+
+  describe('localTime', () => {
+    it('rolls days past the end of the month over', () => {
+      assert.equal(LocalTime.localTime('UTC', 2026, 10, 32, 4), at('2026-11-01T04:00:00Z'));
+    });
+
+    it('finds the local hour on the days the clocks change', () => {
+      // Clocks go forward at 02:00 on 2026-03-29 and back at 03:00 on 2026-10-25
+      assert.equal(LocalTime.localTime('Europe/Stockholm', 2026, 3, 29, 4), at('2026-03-29T02:00:00Z'));
+      assert.equal(LocalTime.localTime('Europe/Stockholm', 2026, 10, 25, 4), at('2026-10-25T03:00:00Z'));
+      // 02:00 does not exist on the spring day and moves forward to 03:00
+      assert.equal(LocalTime.localTime('Europe/Stockholm', 2026, 3, 29, 2), at('2026-03-29T01:00:00Z'));
+    });
+  });
+});
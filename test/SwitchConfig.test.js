@@ -0,0 +1,102 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SwitchConfig = require('../lib/SwitchConfig');
+
+const zones = (...names) => names.map((name, index) => ({ zone: index + 1, name, enabled: true }));
+
+describe('SwitchConfig', () => {
+  describe('fromSwitch', () => {
+    it('keeps names and enabled flags, and null for fields older firmware leaves out', () => {
+      const config = SwitchConfig.fromSwitch(
+        { name: 'My Switch', model: '3S-2Z', serial: '12345678', wifi: 'X [1] (-50dBm)' },
+        [{ id: '0', name: 'Kitchen', enabled: 1, state: 'on' }, { id: '1', name: 'Lounge', enabled: 0, state: 'off' }],
+      );
+
+      assert.deepEqual(config, {
+        version: 1,
+        model: '3S-2Z',
+        serial: '12345678',
+        firmware: null,
+        name: 'My Switch',
+        exclusive: null,
+        zones: [{ zone: 1, name: 'Kitchen', enabled: true }, { zone: 2, name: 'Lounge', enabled: false }],
+      });
+    });
+  });
+
+  describe('parse', () => {
+    it('names the problem', () => {
+      assert.throws(() => SwitchConfig.parse('nope'), /not valid JSON/);
+      assert.throws(() => SwitchConfig.parse({ version: 1 }), /"zones" list/);
+      assert.throws(() => SwitchConfig.parse({ version: 1, zones: [{ zone: 0, name: 'A', enabled: true }] }), /number from 1/);
+      assert.throws(() => SwitchConfig.parse({ version: 1, zones: [...zones('A'), ...zones('B')] }), /Zone 1 is listed twice/);
+      assert.throws(() => SwitchConfig.parse({ version: 1, zones: [{ zone: 1, name: 'A' }] }), /Zone 1 needs "enabled"/);
+      assert.throws(() => SwitchConfig.parse({ version: 1, zones: [{ zone: 1, enabled: true }] }), /Zone 1 needs a "name"/);
+      assert.throws(() => SwitchConfig.parse({ version: 1, exclusive: 'yes', zones: [] }), /"exclusive" must be/);
+    });
+  });
+
+  describe('diff', () => {
+    const current = { name: 'New', exclusive: false, zones: zones('Kitchen', 'Lounge', 'Study') };
+
+    it('lists changed fields and skips zones the model does not have', () => {
+      const backup = { name: 'Old', exclusive: true, zones: zones('Kitchen', 'Patio', 'Study', 'Pool') };
+      const result = SwitchConfig.diff(current, backup, { zoneCount: 3 });
+
+      assert.deepEqual(result, {
+        changes: [
+          { type: 'name', from: 'New', to: 'Old' },
+          { type: 'zone', zone: 2, from: { name: 'Lounge', enabled: true }, to: { name: 'Patio', enabled: true } },
+          { type: 'exclusive', from: false, to: true },
+        ],
+        skipped: [4],
+        invalid: [],
+      });
+      assert.deepEqual(SwitchConfig.formatDiff(result, 3), [
+        'Switch name: "New" → "Old"',
+        'Zone 2: "Lounge" (enabled) → "Patio" (enabled)',
+        'Exclusive mode: off → on',
+        'Skipped zone 4: this switch has 3 zones',
+      ]);
+    });
+
+    it('leaves out the name and exclusive mode when asked to', () => {
+      const backup = { name: 'Old', exclusive: true, zones: zones('Kitchen', 'Lounge', 'Study') };
+      const result = SwitchConfig.diff(current, backup, { zoneCount: 3, includeName: false, exclusive: false });
+
+      assert.deepEqual(result, { changes: [], skipped: [], invalid: [] });
+      assert.deepEqual(SwitchConfig.formatDiff(result, 3), ['Nothing to change, the switch already matches the backup']);
+    });
+
+    it('keeps the current names where the backup has one the switch cannot store', () => {
+      const backup = {
+        name: 'Vardagsrum ÅÄÖ',
+        exclusive: false,
+        zones: [
+          { zone: 1, name: 'Kök', enabled: true },
+          { zone: 2, name: '', enabled: false },
+          { zone: 3, name: 'Study', enabled: true },
+        ],
+      };
+      const result = SwitchConfig.diff(current, backup, { zoneCount: 3 });
+
+      assert.deepEqual(result.changes, [
+        { type: 'zone', zone: 2, from: { name: 'Lounge', enabled: true }, to: { name: 'Lounge', enabled: false } },
+      ]);
+      assert.deepEqual(result.invalid.map(({ zone, name }) => ({ zone, name })), [
+        { zone: null, name: 'Vardagsrum ÅÄÖ' },
+        { zone: 1, name: 'Kök' },
+        { zone: 2, name: '' },
+      ]);
+      assert.deepEqual(SwitchConfig.formatDiff(result, 3), [
+        'Zone 2: "Lounge" (enabled) → "Lounge" (disabled)',
+        'Switch name kept, the switch cannot store the one in the backup: Name "Vardagsrum ÅÄÖ" may only contain plain ASCII characters (no å, ä, ö or emoji)',
+        'Zone 1 name kept, the switch cannot store the one in the backup: Name "Kök" may only contain plain ASCII characters (no å, ä, ö or emoji)',
+        'Zone 2 name kept, the switch cannot store the one in the backup: Name must not be empty',
+      ]);
+    });
+  });
+});
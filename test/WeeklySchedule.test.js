@@ -0,0 +1,37 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const WeeklySchedule = require('../lib/WeeklySchedule');
+
+const at = (iso) => Date.parse(iso);
+
+describe('WeeklySchedule', () => {
+  describe('nextOccurrence', () => {
+    it('returns the next slot in the given time zone', () => {
+      // Monday 2026-10-19 10:00 UTC
+      const now = at('2026-10-19T10:00:00Z');
+
+      assert.equal(WeeklySchedule.nextOccurrence(now, 'UTC', 'sun', 4), at('2026-10-25T04:00:00Z'));
+      assert.equal(WeeklySchedule.nextOccurrence(now, 'UTC', 'mon', 12), at('2026-10-19T12:00:00Z'));
+      assert.equal(WeeklySchedule.nextOccurrence(now, 'Europe/Stockholm', 'tue', 3), at('2026-10-20T01:00:00Z'));
+    });
+
+    it('moves a slot that already passed this week to next week', () => {
+      const now = at('2026-10-19T10:00:00Z');
+      assert.equal(WeeklySchedule.nextOccurrence(now, 'UTC', 'mon', 10), at('2026-10-26T10:00:00Z'));
+    });
+
+    it('keeps the local hour in weeks the clocks change', () => {
+      // Clocks go forward on Sunday 2026-03-29 and back on Sunday 2026-10-25
+      assert.equal(WeeklySchedule.nextOccurrence(at('2026-03-23T10:00:00Z'), 'Europe/Stockholm', 'sun', 4), at('2026-03-29T02:00:00Z'));
+      assert.equal(WeeklySchedule.nextOccurrence(at('2026-03-22T10:00:00Z'), 'Europe/Stockholm', 'sun', 4), at('2026-03-29T02:00:00Z'));
+      assert.equal(WeeklySchedule.nextOccurrence(at('2026-10-19T10:00:00Z'), 'Europe/Stockholm', 'sun', 4), at('2026-10-25T03:00:00Z'));
+    });
+
+    it('returns null when the schedule is off', () => {
+      assert.equal(WeeklySchedule.nextOccurrence(Date.now(), 'UTC', 'off', 4), null);
+    });
+  });
+});
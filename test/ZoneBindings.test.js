@@ -0,0 +1,164 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ZoneBindings = require('../lib/ZoneBindings');
+const ZoneBindingManager = require('../lib/ZoneBindingManager');
+const { createApiDevice } = require('./support/homey-api');
+
+const binding = (zone, device, capability, options = {}) => ({
+  zone, device, capability, invert: false, onDelay: 0, offDelay: 0, only: null, ...options,
+});
+
+describe('ZoneBindings', () => {
+  describe('parseBindings', () => {
+    it('reads zones, device, capability and options', () => {
+      const text = [
+        '1: Patio door / alarm_contact, off delay 60',
+        '',
+        '2, 3: Hallway motion/alarm_motion, invert, on delay 5s, on only',
+      ].join('\n');
+
+      assert.deepEqual(ZoneBindings.parseBindings(text, 4), [
+        binding(1, 'Patio door', 'alarm_contact', { offDelay: 60 }),
+        binding(2, 'Hallway motion', 'alarm_motion', { invert: true, onDelay: 5, only: 'on' }),
+        binding(3, 'Hallway motion', 'alarm_motion', { invert: true, onDelay: 5, only: 'on' }),
+      ]);
+    });
+
+    it('expands "all" and defaults to onoff', () => {
+      assert.deepEqual(ZoneBindings.parseBindings('all: Amplifier plug, off only', 2), [
+        binding(1, 'Amplifier plug', 'onoff', { only: 'off' }),
+        binding(2, 'Amplifier plug', 'onoff', { only: 'off' }),
+      ]);
+    });
+
+    it('names the problem', () => {
+      assert.throws(() => ZoneBindings.parseBindings('Patio door', 4), /Line 1: expected "Zone: Device \/ capability"/);
+      assert.throws(() => ZoneBindings.parseBindings('5: Patio door', 4), /Line 1: zone "5" must be a number from 1 to 4/);
+      assert.throws(() => ZoneBindings.parseBindings('1: / onoff', 4), /device name is missing/);
+      assert.throws(() => ZoneBindings.parseBindings('1: Plug, slowly', 4), /unknown option "slowly"/);
+      assert.throws(() => ZoneBindings.parseBindings('1: Plug, on only, off only', 4), /not both/);
+      assert.throws(() => ZoneBindings.parseBindings('1: Plug, off delay 100000', 4), /at most 86400 seconds/);
+      assert.throws(() => ZoneBindings.parseBindings('1: Plug\nall: Door', 4), /Line 2: zone 1 already follows "Plug"/);
+    });
+  });
+
+  describe('ZoneBindingManager', () => {
+    let devices;
+    let timers;
+    let applied;
+    let errors;
+    let manager;
+
+    const applyZone = async (zone, on) => { applied.push([zone, on]); };
+
+    beforeEach(() => {
+      devices = {
+        door: createApiDevice('door', 'Patio door', { alarm_contact: false }),
+        plug: createApiDevice('plug', 'Amplifier plug', { onoff: true, measure_power: 40 }),
+      };
+      timers = [];
+      applied = [];
+      errors = [];
+      manager = new ZoneBindingManager({
+        getDevices: async () => devices,
+        setTimeout: (fn, ms) => { const timer = { fn, ms }; timers.push(timer); return timer; },
+        clearTimeout: (timer) => { timers.splice(timers.indexOf(timer), 1); },
+        error: (message) => errors.push(message),
+      });
+    });
+
+    it('takes the current value when set up and follows changes, by name or id', async () => {
+      await manager.setBindings('sw1', [binding(1, 'patio door', 'alarm_contact'), binding(2, 'plug', 'onoff', { invert: true })], applyZone);
+      assert.deepEqual(applied, [[1, false], [2, false]]);
+
+      await devices.door.report('alarm_contact', true);
+      // The same value again is not a change
+      await devices.door.report('alarm_contact', true);
+      await devices.plug.report('onoff', false);
+
+      assert.deepEqual(applied, [[1, false], [2, false], [1, true], [2, true]]);
+    });
+
+    it('waits for the delay and only follows the configured direction', async () => {
+      await manager.setBindings('sw1', [binding(1, 'Amplifier plug', 'onoff', { only: 'off', offDelay: 30 })], applyZone);
+      // The plug is on, which this binding leaves alone
+      assert.deepEqual(applied, []);
+
+      await devices.plug.report('onoff', false);
+      assert.deepEqual(applied, []);
+      assert.equal(timers.length, 1);
+      assert.equal(timers[0].ms, 30000);
+
+      await timers[0].fn();
+      assert.deepEqual(applied, [[1, false]]);
+
+      await devices.plug.report('onoff', true);
+      assert.deepEqual(applied, [[1, false]]);
+    });
+
+    it('pauses on a manual change until the device changes again', async () => {
+      await manager.setBindings('sw1', [binding(1, 'Patio door', 'alarm_contact', { offDelay: 60 })], applyZone);
+
+      await devices.door.report('alarm_contact', true);
+      await devices.door.report('alarm_contact', false);
+      assert.equal(timers.length, 1);
+
+      // Turning the zone back on by hand cancels the pending off
+      manager.pause('sw1', 1);
+      assert.equal(timers.length, 0);
+      assert.equal(manager.isPaused('sw1', 1), true);
+
+      await devices.door.report('alarm_contact', true);
+      assert.equal(manager.isPaused('sw1', 1), false);
+      assert.deepEqual(applied, [[1, false], [1, true], [1, true]]);
+    });
+
+    it('rejects unknown devices and capabilities without dropping the old bindings', async () => {
+      devices.twin = createApiDevice('twin', 'Patio door', { alarm_contact: false });
+      await manager.setBindings('sw1', [binding(1, 'plug', 'onoff')], applyZone);
+
+      await assert.rejects(manager.setBindings('sw1', [binding(2, 'Garage', 'onoff')], applyZone), { message: 'Zone 2: no device named "Garage"' });
+      await assert.rejects(manager.setBindings('sw1', [binding(2, 'Patio door', 'alarm_contact')], applyZone), /several devices are named "Patio door"/);
+      await assert.rejects(manager.setBindings('sw1', [binding(2, 'plug', 'alarm_contact')], applyZone), /"Amplifier plug" has no capability "alarm_contact"/);
+      await assert.rejects(manager.setBindings('sw1', [binding(2, 'plug', 'measure_power')], applyZone), /is not an on\/off capability/);
+
+      await devices.plug.report('onoff', false);
+      assert.deepEqual(applied, [[1, true], [1, false]]);
+    });
+
+    it('follows a renamed device by the id it resolved to', async () => {
+      const { bindings } = await manager.setBindings('sw1', [binding(1, 'Patio door', 'alarm_contact')], applyZone);
+      assert.equal(bindings[0].deviceId, 'door');
+
+      devices.door.name = 'Terrace door';
+      await manager.setBindings('sw1', bindings, applyZone);
+      await devices.door.report('alarm_contact', true);
+      assert.deepEqual(applied, [[1, false], [1, false], [1, true]]);
+    });
+
+    it('keeps the bindings that resolve when asked for a partial result', async () => {
+      const result = await manager.setBindings('sw1', [binding(1, 'Garage', 'onoff'), binding(2, 'plug', 'onoff')], applyZone, { partial: true });
+
+      assert.deepEqual(result.problems, ['Zone 1: no device named "Garage"']);
+      assert.deepEqual(result.bindings.map((entry) => entry.zone), [2]);
+      await devices.plug.report('onoff', false);
+      assert.deepEqual(applied, [[2, true], [2, false]]);
+    });
+
+    it('logs failures and stops listening once removed', async () => {
+      await manager.setBindings('sw1', [binding(1, 'door', 'alarm_contact')], async () => { throw new Error('Switch unavailable'); });
+
+      await devices.door.report('alarm_contact', true);
+      assert.deepEqual(errors, [
+        'Zone bindings: could not turn zone 1 off for "door": Switch unavailable',
+        'Zone bindings: could not turn zone 1 on for "door": Switch unavailable',
+      ]);
+
+      manager.remove('sw1');
+      assert.deepEqual(devices.door.listeners, {});
+    });
+  });
+});
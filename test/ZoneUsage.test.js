@@ -0,0 +1,66 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ZoneUsage = require('../lib/ZoneUsage');
+
+const MINUTE = 60 * 1000;
+const at = (iso) => Date.parse(iso);
+
+describe('ZoneUsage', () => {
+  describe('onTimeBetween', () => {
+    const history = [
+      { zone: 1, on: true, at: at('2026-10-18T23:30:00Z') },
+      { zone: 2, on: true, at: at('2026-10-19T00:10:00Z') },
+      { zone: 1, on: false, at: at('2026-10-19T00:15:00Z') },
+      { zone: 1, on: true, at: at('2026-10-19T08:00:00Z') },
+    ];
+
+    it('clips sessions to the period and counts a running session up to now', () => {
+      const from = at('2026-10-19T00:00:00Z');
+      const now = at('2026-10-19T08:20:00Z');
+
+      assert.equal(ZoneUsage.onTimeBetween(history, 1, from, now), 35 * MINUTE);
+      assert.equal(ZoneUsage.onTimeBetween(history, 2, from, now), 490 * MINUTE);
+      assert.equal(ZoneUsage.onTimeBetween(history, 3, from, now), 0);
+    });
+  });
+
+  describe('startOfDay / startOfWeek', () => {
+    it('uses the wall clock of the given time zone', () => {
+      // Monday 2026-10-19 00:30 in Stockholm is still Sunday in UTC
+      const now = at('2026-10-18T22:30:00Z');
+
+      assert.equal(ZoneUsage.startOfDay(now, 'Europe/Stockholm'), at('2026-10-18T22:00:00Z'));
+      assert.equal(ZoneUsage.startOfWeek(now, 'Europe/Stockholm'), at('2026-10-18T22:00:00Z'));
+      assert.equal(ZoneUsage.startOfWeek(now, 'UTC'), at('2026-10-12T00:00:00Z'));
+    });
+
+    it('finds local midnight on the days the clocks change', () => {
+      // Clocks go forward at 02:00 on 2026-03-29 and back at 03:00 on 2026-10-25
+      const spring = at('2026-03-29T10:00:00Z');
+      assert.equal(ZoneUsage.startOfDay(spring, 'Europe/Stockholm'), at('2026-03-28T23:00:00Z'));
+      assert.equal(ZoneUsage.startOfWeek(spring, 'Europe/Stockholm'), at('2026-03-22T23:00:00Z'));
+
+      const autumn = at('2026-10-25T12:00:00Z');
+      assert.equal(ZoneUsage.startOfDay(autumn, 'Europe/Stockholm'), at('2026-10-24T22:00:00Z'));
+      assert.equal(ZoneUsage.startOfWeek(autumn, 'Europe/Stockholm'), at('2026-10-18T22:00:00Z'));
+    });
+  });
+
+  describe('addEntry', () => {
+    it('drops the oldest entries beyond the limit', () => {
+      let history = [];
+      for (let i = 0; i < 5; i++) history = ZoneUsage.addEntry(history, { zone: 1, on: i % 2 === 0, at: i }, 3);
+      assert.deepEqual(history.map((entry) => entry.at), [2, 3, 4]);
+    });
+  });
+
+  describe('formatCsv', () => {
+    it('writes one line per transition with the zone name', () => {
+      const csv = ZoneUsage.formatCsv([{ zone: 2, on: true, at: at('2026-10-19T08:00:00Z') }], { 2: 'Patio "back"' });
+      assert.equal(csv, 'time,zone,name,state\n2026-10-19T08:00:00.000Z,2,"Patio ""back""",on');
+    });
+  });
+});
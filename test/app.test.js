@@ -0,0 +1,145 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('homey');
+const AudioflowApp = require('../app');
+const api = require('../api');
+const AudioflowDriver = require('../drivers/audioflow/driver');
+const locales = require('../locales/en.json');
+const { startSimulator, resetSimulator, createSwitch } = require('./support/switches');
+
+describe('Web API', () => {
+  const simulators = [];
+  let homey;
+  let switches;
+
+  before(async () => {
+    for (const serial of ['11111111', '22222222']) simulators.push(await startSimulator({ serial }));
+  });
+
+  after(async () => {
+    for (const simulator of simulators) await simulator.stop();
+  });
+
+  beforeEach(async () => {
+    simulators.forEach(resetSimulator);
+
+    homey = createHomey({ locales });
+    const driver = new AudioflowDriver({ homey });
+    homey.drivers.setDriver('audioflow', driver);
+    switches = simulators.map((simulator) => createSwitch({ homey, driver, simulator, serial: simulator.serial }));
+    driver._devices.push(...switches);
+    for (const device of switches) await device._syncWithHardware();
+
+    homey.app = new AudioflowApp({ homey });
+    await homey.app.onInit();
+    simulators.forEach((simulator) => { simulator.requests = []; });
+  });
+
+  afterEach(() => {
+    homey.clearAllTimers();
+    for (const device of switches) device.client.destroy();
+  });
+
+  it('lists the paired switches with their zones', async () => {
+    simulators[1].state.zones[2].state = 'on';
+    await switches[1]._syncWithHardware();
+
+    const list = await api.getSwitches({ homey });
+    assert.deepEqual(list.map((sw) => sw.id), ['11111111', '22222222']);
+    assert.equal(list[1].name, 'Switch 22222222');
+    assert.equal(list[1].available, true);
+    assert.equal(list[1].model, '3S-4Z');
+    assert.equal(list[1].firmware, '1.10.000037');
+    assert.equal(list[1].exclusive, false);
+    assert.deepEqual(list[1].zones[2], { zone: 3, name: 'Study', enabled: true, on: true });
+  });
+
+  it('reads a single switch and rejects unknown ids', async () => {
+    const info = await api.getSwitch({ homey, params: { id: '22222222' } });
+    assert.equal(info.serial, '22222222');
+
+    await assert.rejects(api.getSwitch({ homey, params: { id: 'nope' } }), { message: 'No paired switch with id nope' });
+  });
+
+  it('sets and toggles a zone through the device', async () => {
+    let info = await api.setZone({ homey, params: { id: '11111111', zone: '2' }, body: { on: true } });
+    assert.deepEqual(simulators[0].requests, [{ method: 'PUT', path: '/zones/2', body: '1' }]);
+    assert.equal(info.zones[1].on, true);
+    assert.equal(switches[0].getCapabilityValue('zone_btn_2'), true);
+
+    // Triggers fire like they do for the Homey app
+    assert.equal(homey.flow.triggersFor('zone_turned_on').length, 1);
+
+    info = await api.toggleZone({ homey, params: { id: '11111111', zone: '2' } });
+    assert.equal(info.zones[1].on, false);
+    assert.deepEqual(simulators[0].requests.at(-1), { method: 'PUT', path: '/zones/2', body: 'T' });
+  });
+
+  it('validates the zone and body', async () => {
+    await assert.rejects(
+      api.setZone({ homey, params: { id: '11111111', zone: '5' }, body: { on: true } }),
+      { message: 'Zone 5 not available on Switch 11111111' },
+    );
+    await assert.rejects(
+      api.setZone({ homey, params: { id: '11111111', zone: '1' }, body: { on: 'yes' } }),
+      { message: 'Body must contain "on": true or false' },
+    );
+    await assert.rejects(
+      api.setZones({ homey, params: { id: '11111111' }, body: {} }),
+      { message: 'Body must contain "zones", "pattern" or "on"' },
+    );
+    assert.deepEqual(simulators[0].requests, []);
+  });
+
+  it('bulk sets zones by map, pattern or all', async () => {
+    await api.setZones({ homey, params: { id: '11111111' }, body: { zones: { 1: true, 3: true } } });
+    assert.deepEqual(simulators[0].requests.at(-1), { method: 'PUT', path: '/zones', body: '1 0 1 0' });
+
+    await api.setZones({ homey, params: { id: '11111111' }, body: { pattern: '0 1 - -' } });
+    assert.deepEqual(simulators[0].requests.at(-1), { method: 'PUT', path: '/zones', body: '0 1 1 0' });
+
+    const info = await api.setZones({ homey, params: { id: '11111111' }, body: { on: false } });
+    assert.deepEqual(info.zones.map((zone) => zone.on), [false, false, false, false]);
+  });
+
+  it('turns every switch off at once', async () => {
+    simulators.forEach((simulator) => { simulator.state.zones[0].state = 'on'; });
+    for (const device of switches) await device._syncWithHardware();
+
+    const list = await api.setAllSwitches({ homey, body: { on: false } });
+    assert.deepEqual(list.map((sw) => sw.zones[0].on), [false, false]);
+  });
+
+  it('exports, previews and clones the configuration', async () => {
+    simulators[0].state.zones[1].name = 'Patio';
+
+    const config = await api.getConfig({ homey, params: { id: '11111111' } });
+    assert.equal(config.zones[1].name, 'Patio');
+
+    const preview = await api.previewConfig({ homey, params: { id: '22222222' }, body: config });
+    assert.deepEqual(preview.text, ['Zone 2: "Lounge" (enabled) → "Patio" (enabled)']);
+    assert.equal(simulators[1].requests.some((req) => req.method === 'PUT'), false);
+
+    const result = await api.cloneConfig({ homey, params: { id: '11111111' }, body: { target: '22222222' } });
+    assert.equal(result.changes.length, 1);
+    assert.equal(simulators[1].state.zones[1].name, 'Patio');
+    assert.equal(switches[1].getSetting('zone_name2'), 'Patio');
+  });
+
+  it('enables exclusive mode and keeps single zone commands working', async () => {
+    await api.setZones({ homey, params: { id: '11111111' }, body: { zones: { 1: true, 2: true } } });
+
+    const info = await api.setExclusiveMode({ homey, params: { id: '11111111' }, body: { enabled: true } });
+    assert.equal(info.exclusive, true);
+    assert.equal(simulators[0].state.exclusive, true);
+    assert.deepEqual(info.zones.map((zone) => zone.on), [true, false, false, false]);
+
+    await assert.rejects(
+      api.setZones({ homey, params: { id: '11111111' }, body: { zones: { 3: true, 4: true } } }),
+      { message: 'Exclusive mode is on: only one zone can be on at a time' },
+    );
+  });
+});
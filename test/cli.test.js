@@ -0,0 +1,190 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cli = require('../tools/audioflow-cli');
+const { startSimulator, resetSimulator } = require('./support/switches');
+
+function output() {
+  const stream = { text: '', write: (chunk) => { stream.text += chunk; } };
+  return stream;
+}
+
+describe('audioflow-cli', () => {
+  let simulator;
+
+  before(async () => {
+    simulator = await startSimulator({ udpPort: 0, serial: '12345678', rebootTime: 0 });
+  });
+
+  after(async () => {
+    await simulator.stop();
+  });
+
+  beforeEach(() => {
+    resetSimulator(simulator);
+    simulator.state.name = 'My Switch';
+    simulator.state.firmware = '1.10.000037';
+  });
+
+  async function run(...argv) {
+    const stdout = output();
+    const stderr = output();
+    const code = await cli.run(['--port', String(simulator.httpPort), '--timeout', '500', ...argv], { stdout, stderr });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  }
+
+  async function runJson(...argv) {
+    const result = await run('--json', ...argv);
+    assert.equal(result.code, 0, result.stderr);
+    return JSON.parse(result.stdout);
+  }
+
+  it('discovers switches with the afpong parser', async () => {
+    const switches = await runJson('discover', '--broadcast', '127.0.0.1', '--udp-port', String(simulator.udpPort), '--wait', '300');
+    assert.deepEqual(switches, [{ model: '3S-4Z', serial: '12345678', address: '127.0.0.1' }]);
+
+    const { stdout } = await run('discover', '--broadcast', '127.0.0.1', '--udp-port', String(simulator.udpPort), '--wait', '300');
+    assert.deepEqual(stdout.trim().split('\n'), [
+      'MODEL  SERIAL    IP',
+      '3S-4Z  12345678  127.0.0.1',
+    ]);
+  });
+
+  it('prints the switch status', async () => {
+    simulator.state.zones[1].state = 'on';
+    simulator.state.zones[3].enabled = 0;
+
+    const status = await runJson('status', '127.0.0.1');
+    assert.equal(status.name, 'My Switch');
+    assert.equal(status.firmware, '1.10.000037');
+    assert.equal(status.exclusive, false);
+    assert.deepEqual(status.zones[1], { zone: 2, name: 'Lounge', enabled: true, on: true });
+    assert.deepEqual(status.zones[3], { zone: 4, name: 'Pool', enabled: false, on: false });
+
+    const { stdout } = await run('status', '127.0.0.1');
+    assert.match(stdout, /^My Switch \(3S-4Z, serial 12345678\)$/m);
+    assert.match(stdout, /^4\s+Pool\s+off \(disabled\)$/m);
+  });
+
+  it('switches zones by number or name', async () => {
+    await runJson('on', '127.0.0.1', '2');
+    await runJson('on', '127.0.0.1', 'study');
+    const zones = await runJson('off', '127.0.0.1', 'Lounge');
+
+    assert.deepEqual(zones.map((zone) => zone.on), [false, false, true, false]);
+    assert.deepEqual(simulator.requests.filter((req) => req.method === 'PUT'), [
+      { method: 'PUT', path: '/zones/2', body: '1' },
+      { method: 'PUT', path: '/zones/3', body: '1' },
+      { method: 'PUT', path: '/zones/2', body: '0' },
+    ]);
+  });
+
+  it('toggles with "T" and falls back to a read on older firmware', async () => {
+    await runJson('toggle', '127.0.0.1', '1');
+    assert.deepEqual(simulator.requests.at(-1), { method: 'PUT', path: '/zones/1', body: 'T' });
+
+    // Supports "T" but does not report its version yet
+    simulator.state.firmware = '1.10.000035';
+    await runJson('toggle', '127.0.0.1', '1');
+    assert.deepEqual(simulator.requests.at(-1), { method: 'PUT', path: '/zones/1', body: 'T' });
+    assert.equal(simulator.state.zones[0].state, 'off');
+
+    simulator.state.firmware = '1.10.000030';
+    const zones = await runJson('toggle', '127.0.0.1', '1');
+    assert.deepEqual(simulator.requests.slice(-2).map((req) => req.body), ['T', '1']);
+    assert.equal(zones[0].on, true);
+  });
+
+  it('sets all zones from a pattern, keeping "-" zones', async () => {
+    simulator.state.zones[3].state = 'on';
+    const zones = await runJson('set', '127.0.0.1', '1 0 1 -');
+
+    assert.deepEqual(simulator.requests.at(-1), { method: 'PUT', path: '/zones', body: '1 0 1 1' });
+    assert.deepEqual(zones.map((zone) => zone.on), [true, false, true, true]);
+
+    const { code, stderr } = await run('set', '127.0.0.1', '1 0');
+    assert.equal(code, 1);
+    assert.match(stderr, /Pattern needs 4 values/);
+  });
+
+  it('renames the switch and zones, keeping the enabled flag', async () => {
+    simulator.state.zones[2].enabled = 0;
+
+    assert.deepEqual(await runJson('rename', '127.0.0.1', 'switch', 'Upstairs'), { name: 'Upstairs' });
+    await runJson('rename', '127.0.0.1', '3', 'Guest', 'Room');
+    assert.deepEqual(simulator.requests.at(-1), { method: 'PUT', path: '/zonename/3', body: '0Guest Room' });
+
+    const { code, stderr } = await run('rename', '127.0.0.1', '1', 'Kök');
+    assert.equal(code, 1);
+    assert.match(stderr, /plain ASCII/);
+  });
+
+  it('sets exclusive mode', async () => {
+    simulator.state.zones[0].state = 'on';
+    simulator.state.zones[1].state = 'on';
+
+    const result = await runJson('exclusive', '127.0.0.1', 'enable');
+    assert.equal(simulator.state.exclusive, true);
+    assert.equal(result.exclusive, true);
+    assert.deepEqual(result.zones.map((zone) => zone.on), [true, false, false, false]);
+  });
+
+  it('reports firmware that is too old for the command', async () => {
+    simulator.state.firmware = '1.10.000030';
+    const { code, stderr } = await run('exclusive', '127.0.0.1', 'enable');
+    assert.equal(code, 1);
+    assert.equal(stderr, 'Firmware too old: exclusive mode needs v1.10.000035 or newer, the switch firmware is older than that\n');
+  });
+
+  it('reports a switch that does not answer', async () => {
+    simulator.dropNext(3);
+    const { code, stderr } = await run('status', '127.0.0.1');
+    assert.equal(code, 1);
+    assert.match(stderr, /HTTP request failed/);
+  });
+
+  it('reboots the switch', async () => {
+    assert.deepEqual(await runJson('reboot', '127.0.0.1'), { rebooting: true });
+    assert.equal(simulator.requests.at(-1).path, '/reboot_now');
+  });
+
+  it('prints zone changes while watching', async () => {
+    const controller = new AbortController();
+    const stdout = output();
+    const watching = cli.run(
+      ['--json', '--port', String(simulator.httpPort), '--interval', '0.05', 'watch', '127.0.0.1'],
+      { stdout, stderr: output(), signal: controller.signal },
+    );
+
+    const lines = () => stdout.text.trim().split('\n').filter(Boolean).map((line) => JSON.parse(line));
+    const waitFor = async (count) => {
+      for (let i = 0; i < 100 && lines().length < count; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    };
+
+    await waitFor(4);
+    simulator.state.zones[2].state = 'on';
+    await waitFor(5);
+    controller.abort();
+    assert.equal(await watching, 0);
+
+    const events = lines();
+    assert.equal(events.length, 5);
+    assert.deepEqual(events.slice(0, 4).map((event) => event.on), [false, false, false, false]);
+    assert.deepEqual({ ...events[4], time: undefined }, { time: undefined, zone: 3, name: 'Study', enabled: true, on: true });
+  });
+
+  it('prints usage for unknown commands and missing arguments', async () => {
+    let result = await run('dance');
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Unknown command dance\nUsage:/);
+
+    result = await run('on', '127.0.0.1');
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Missing zone number or name/);
+
+    result = await run('on', '127.0.0.1', '9');
+    assert.match(result.stderr, /Zone 9 does not exist, this switch has zones 1-4/);
+  });
+});
@@ -0,0 +1,823 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey, Driver } = require('homey');
+const ZoneUsage = require('../lib/ZoneUsage');
+const ZoneBindingManager = require('../lib/ZoneBindingManager');
+const { AudioflowTimeoutError } = require('../lib/AudioflowErrors');
+const { createApiDevice } = require('./support/homey-api');
+const { startSimulator, resetSimulator, createClient, createSwitch } = require('./support/switches');
+
+/**
+ * A switch device with its own Homey, for tests that need a fresh one.
+ */
+function createDevice({ model, settings = {}, store, client } = {}) {
+  const homey = createHomey();
+  const driver = new Driver({ homey });
+  driver.findDeviceAddress = async () => null;
+
+  return createSwitch({
+    homey, driver, client, model, settings: { polling_interval: 5, ...settings }, store, capabilities: ['measure_wifi_signal'],
+  });
+}
+
+describe('AudioflowDevice', () => {
+  let simulator;
+  let client;
+  let device;
+
+  before(async () => {
+    simulator = await startSimulator();
+  });
+
+  after(async () => {
+    await simulator.stop();
+  });
+
+  beforeEach(() => {
+    resetSimulator(simulator);
+    client = createClient(simulator);
+    device = createDevice({ client });
+  });
+
+  afterEach(() => {
+    device.homey.clearAllTimers();
+    client.destroy();
+  });
+
+  describe('_syncWithHardware', () => {
+    it('maps the 0-based zone id to the 1-based capability', async () => {
+      simulator.state.zones[2].state = 'on';
+      await device._syncWithHardware();
+
+      assert.equal(device.getCapabilityValue('zone_btn_3'), true);
+      assert.equal(device.getCapabilityValue('zone_btn_1'), false);
+      assert.deepEqual(device.getCapabilityOptions('zone_btn_3'), { title: 'Study' });
+    });
+
+    it('fires a trigger only when a zone really changes', async () => {
+      await device._syncWithHardware();
+      device.homey.flow.triggered = [];
+
+      simulator.state.zones[1].state = 'on';
+      await device._syncWithHardware();
+      await device._syncWithHardware();
+
+      const triggers = device.homey.flow.triggersFor('zone_turned_on');
+      assert.equal(triggers.length, 1);
+      assert.deepEqual(triggers[0].tokens, { zone_name: 'Lounge' });
+      assert.deepEqual(triggers[0].state, { deviceId: '00000000', zone: '2' });
+      assert.equal(device.homey.flow.triggersFor('zone_turned_off').length, 0);
+    });
+
+    it('removes the capability of a disabled zone and restores it when enabled', async () => {
+      simulator.state.zones[3].enabled = 0;
+      await device._syncWithHardware();
+      assert.equal(device.hasCapability('zone_btn_4'), false);
+      assert.equal(device.getSetting('enabled_zone4'), false);
+
+      simulator.state.zones[3].enabled = 1;
+      simulator.state.zones[3].state = 'on';
+      await device._syncWithHardware();
+      assert.equal(device.hasCapability('zone_btn_4'), true);
+      assert.equal(device.getCapabilityValue('zone_btn_4'), true);
+      assert.equal(device.getSetting('enabled_zone4'), true);
+
+      // The restored capability is wired to the switch again
+      await device.triggerCapabilityListener('zone_btn_4', false);
+      assert.equal(simulator.state.zones[3].state, 'off');
+    });
+
+    it('does not fire triggers for the first value of a new capability', async () => {
+      simulator.state.zones[0].state = 'on';
+      await device._syncWithHardware();
+
+      assert.equal(device.getCapabilityValue('zone_btn_1'), true);
+      assert.deepEqual(device.homey.flow.triggered.filter((entry) => entry.id.startsWith('zone_turned')), []);
+    });
+
+    it('ignores zones the model does not have', async () => {
+      const twoZone = createDevice({ model: '3S-2Z', client });
+      simulator.state.zones[3].state = 'on';
+      await twoZone._syncWithHardware();
+
+      assert.equal(twoZone.getCapabilityValue('zone_btn_4'), null);
+      assert.equal(twoZone.getSetting('zone_name4'), undefined);
+    });
+
+    it('syncs switch information and exclusive mode', async () => {
+      simulator.state.exclusive = true;
+      await device._syncWithHardware();
+
+      assert.equal(device.getSetting('exclusive_mode'), true);
+      assert.equal(device.getSetting('firmware_version'), '1.10.000037');
+      assert.equal(device.getStoreValue('firmware_version'), '1.10.000037');
+      assert.equal(device.getCapabilityValue('measure_wifi_signal'), -57);
+    });
+  });
+
+  describe('command responses', () => {
+    it('applies the returned zone list without waiting for a poll', async () => {
+      await device._syncWithHardware();
+      device.homey.flow.triggered = [];
+
+      await device.setZoneState(1, true);
+      assert.equal(device.getCapabilityValue('zone_btn_1'), true);
+      assert.equal(device.homey.flow.triggersFor('zone_turned_on').length, 1);
+    });
+
+    it('reflects zones the switch turned off in exclusive mode', async () => {
+      simulator.state.exclusive = true;
+      await device._syncWithHardware();
+      await device.setZoneState(1, true);
+      await device.setZoneState(2, true);
+
+      assert.equal(device.getCapabilityValue('zone_btn_1'), false);
+      assert.equal(device.getCapabilityValue('zone_btn_2'), true);
+      assert.equal(device.homey.flow.triggersFor('zone_turned_off').length, 1);
+    });
+
+    it('rejects zones the model does not have', async () => {
+      const twoZone = createDevice({ model: '3S-2Z', client });
+      await assert.rejects(twoZone.setZoneState(3, true), /Zone not available/);
+    });
+
+    it('keeps the command result when a poll that started earlier finishes later', async () => {
+      await device._syncWithHardware();
+      device.homey.flow.triggered = [];
+      simulator.latency = 30;
+
+      try {
+        const poll = device._syncWithHardware();
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        await device.setZoneState(1, true);
+        await poll;
+      } finally {
+        simulator.latency = 0;
+      }
+
+      assert.equal(simulator.state.zones[0].state, 'on');
+      assert.equal(device.getCapabilityValue('zone_btn_1'), true);
+      assert.equal(device.homey.flow.triggersFor('zone_turned_on').length, 1);
+      assert.equal(device.homey.flow.triggersFor('zone_turned_off').length, 0);
+    });
+
+    it('sends several zone changes as one PUT /zones', async () => {
+      simulator.state.zones[3].state = 'on';
+      await device._syncWithHardware();
+      simulator.requests = [];
+
+      await device.setZones({ 1: true, 3: true });
+      assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zones', body: '1 0 1 1' }]);
+      assert.equal(device.getCapabilityValue('zone_btn_3'), true);
+    });
+  });
+
+  describe('exclusive mode', () => {
+    beforeEach(async () => {
+      await device._syncWithHardware();
+    });
+
+    it('reads the zones back after enabling it from a Flow', async () => {
+      simulator.state.zones[1].state = 'on';
+      simulator.state.zones[2].state = 'on';
+      await device._syncWithHardware();
+
+      await device.setExclusiveMode(true);
+
+      assert.equal(device.getSetting('exclusive_mode'), true);
+      assert.deepEqual(device._getCurrentZoneStates(), [false, true, false, false]);
+      await device._syncWithHardware();
+      assert.equal(device.homey.flow.triggersFor('exclusive_mode_changed').length, 0);
+    });
+
+    it('fires the trigger when it changes on the switch', async () => {
+      simulator.state.exclusive = true;
+      await device._syncWithHardware();
+      await device._syncWithHardware();
+
+      const triggers = device.homey.flow.triggersFor('exclusive_mode_changed');
+      assert.equal(triggers.length, 1);
+      assert.deepEqual(triggers[0].tokens, { enabled: true });
+    });
+
+    it('refuses bulk changes that leave several zones on', async () => {
+      await device.setStoreValue('scenes', { Party: [true, true, false, false] });
+      await device.setExclusiveMode(true);
+      await device.setZoneState(1, true);
+
+      await assert.rejects(device.recallScene('Party'), /only one zone can be on/);
+      await assert.rejects(device.setZones({ 2: true, 3: true }), /only one zone can be on/);
+
+      simulator.requests = [];
+      await device.setZones({ 1: false, 4: true });
+      assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zones', body: '0 0 0 1' }]);
+      assert.deepEqual(device._getCurrentZoneStates(), [false, false, false, true]);
+    });
+  });
+
+  describe('firmware features', () => {
+    const markers = () => ['audioflow_exclusive', 'audioflow_reboot'].filter((id) => device.hasCapability(id));
+
+    afterEach(() => {
+      simulator.state.firmware = '1.10.000037';
+    });
+
+    it('offers the exclusive mode and reboot cards only while the firmware has them', async () => {
+      await device._syncWithHardware();
+      assert.deepEqual(markers(), ['audioflow_exclusive', 'audioflow_reboot']);
+
+      await device._applySwitchInfo({ version: '1.09.000020' });
+      assert.deepEqual(markers(), []);
+    });
+
+    it('asks firmware that does not report its version for a single zone', async () => {
+      simulator.state.firmware = '1.10.000030';
+      await device._updateFeatureCapabilities();
+      assert.deepEqual(markers(), []);
+
+      simulator.state.firmware = '1.10.000035';
+      await device._updateFeatureCapabilities();
+      assert.deepEqual(markers(), ['audioflow_exclusive', 'audioflow_reboot']);
+      assert.deepEqual(simulator.requests.at(-1), { method: 'GET', path: '/zones/1', body: '' });
+    });
+  });
+
+  describe('usage history', () => {
+    beforeEach(async () => {
+      for (let i = 1; i <= 4; i++) {
+        await device.addCapability(`zone_on_today_${i}`);
+        await device.addCapability(`zone_on_week_${i}`);
+      }
+      await device._syncWithHardware();
+    });
+
+    it('records transitions from commands and from the switch', async () => {
+      await device.setZoneState(1, true);
+      simulator.state.zones[0].state = 'off';
+      await device._syncWithHardware();
+
+      const history = device.getStoreValue('zone_history');
+      assert.deepEqual(history.map(({ zone, on }) => ({ zone, on })), [{ zone: 1, on: true }, { zone: 1, on: false }]);
+      assert.match(device.getSetting('usage_history'), /^time,zone,name,state\n.*,1,"Kitchen",on\n.*,1,"Kitchen",off$/);
+    });
+
+    it('adds the session length to the zone turned off trigger', async () => {
+      await device.setZoneState(2, true);
+      await device.setStoreValue('zone_on_since', { 2: Date.now() - 45 * 60 * 1000 });
+      await device.setZoneState(2, false);
+
+      const [trigger] = device.homey.flow.triggersFor('zone_turned_off');
+      assert.deepEqual(trigger.tokens, { zone_name: 'Lounge', duration: 45 });
+    });
+
+    it('reports minutes on today and this week', async () => {
+      await device.setStoreValue('zone_history', [{ zone: 3, on: true, at: Date.now() - 10.5 * 60 * 1000 }]);
+      simulator.state.zones[2].state = 'on';
+      await device._syncWithHardware();
+
+      // Right after midnight the session started yesterday
+      const sinceMidnight = Date.now() - ZoneUsage.startOfDay(Date.now(), 'UTC');
+      assert.equal(device.getCapabilityValue('zone_on_today_3'), Math.floor(Math.min(10.5 * 60 * 1000, sinceMidnight) / 60000));
+      assert.equal(device.getCapabilityValue('zone_on_today_1'), 0);
+    });
+  });
+
+  describe('auto-off', () => {
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    beforeEach(async () => {
+      await device._syncWithHardware();
+    });
+
+    it('starts the timer when the zone turns on at the switch and cancels it when it turns off', async () => {
+      await device.setSettings({ auto_off_zone3: 90 });
+
+      simulator.state.zones[2].state = 'on';
+      await device._syncWithHardware();
+      const deadline = device.getStoreValue('auto_off_deadlines')[3];
+      assert.ok(Math.abs(deadline - (Date.now() + 90 * 60 * 1000)) < 1000);
+
+      simulator.state.zones[2].state = 'off';
+      await device._syncWithHardware();
+      assert.deepEqual(device.getStoreValue('auto_off_deadlines'), {});
+      assert.deepEqual(device._autoOffTimers, {});
+    });
+
+    it('switches the zone off when the deadline passes', async () => {
+      await device.turnZoneOnFor(1, 30);
+      assert.equal(simulator.state.zones[0].state, 'on');
+      assert.ok(device.getStoreValue('auto_off_deadlines')[1] > Date.now());
+
+      await device._scheduleAutoOff(1, Date.now());
+      await wait(50);
+
+      assert.equal(simulator.state.zones[0].state, 'off');
+      assert.equal(device.getCapabilityValue('zone_btn_1'), false);
+      assert.deepEqual(device.getStoreValue('auto_off_deadlines'), {});
+    });
+
+    it('applies a changed setting to a zone that is already on', async () => {
+      simulator.state.zones[2].state = 'on';
+      await device._syncWithHardware();
+      const onSince = Date.now() - 10 * 60 * 1000;
+      await device.setStoreValue('zone_on_since', { 3: onSince });
+      assert.equal(device.getStoreValue('auto_off_deadlines'), undefined);
+
+      const change = (minutes) => device.onSettings({
+        oldSettings: device.getSettings(),
+        newSettings: { ...device.getSettings(), auto_off_zone3: minutes },
+        changedKeys: ['auto_off_zone3'],
+      });
+
+      await change(30);
+      assert.equal(device.getStoreValue('auto_off_deadlines')[3], onSince + 30 * 60 * 1000);
+      assert.ok(device._autoOffTimers[3]);
+
+      await change(0);
+      assert.deepEqual(device.getStoreValue('auto_off_deadlines'), {});
+      assert.deepEqual(device._autoOffTimers, {});
+    });
+
+    it('cancels the timer of a zone disabled on the switch', async () => {
+      await device.turnZoneOnFor(2, 30);
+      assert.ok(device._autoOffTimers[2]);
+
+      simulator.state.zones[1].enabled = 0;
+      await device._syncWithHardware();
+
+      assert.equal(device.hasCapability('zone_btn_2'), false);
+      assert.deepEqual(device.getStoreValue('auto_off_deadlines'), {});
+      assert.deepEqual(device._autoOffTimers, {});
+    });
+
+    it('keeps the deadline of a timed zone when a poll overlaps the command', async () => {
+      simulator.latency = 30;
+      try {
+        const poll = device._syncWithHardware();
+        await wait(5);
+        await device.turnZoneOnFor(1, 30);
+        await poll;
+      } finally {
+        simulator.latency = 0;
+      }
+
+      assert.equal(device.getCapabilityValue('zone_btn_1'), true);
+      assert.ok(device.getStoreValue('auto_off_deadlines')[1] > Date.now());
+      assert.ok(device._autoOffTimers[1]);
+    });
+
+    it('re-arms stored deadlines after a restart', async () => {
+      simulator.state.zones[1].state = 'on';
+      await device._syncWithHardware();
+      await device.setStoreValue('auto_off_deadlines', { 2: Date.now() - 1000 });
+
+      device._restoreAutoOffTimers();
+      await wait(50);
+
+      assert.equal(simulator.state.zones[1].state, 'off');
+    });
+
+    it('knows how long a zone has been on', async () => {
+      await device.setZoneState(4, true);
+      assert.equal(device.isZoneOnFor(4, 1), false);
+
+      await device.setStoreValue('zone_on_since', { 4: Date.now() - 11 * 60 * 1000 });
+      assert.equal(device.isZoneOnFor(4, 10), true);
+      assert.equal(device.isZoneOnFor(4, 15), false);
+      assert.equal(device.isZoneOnFor(1, 0), false);
+    });
+  });
+
+  describe('bulk zone changes', () => {
+    beforeEach(async () => {
+      simulator.state.zones[1].state = 'on';
+      simulator.state.zones[3].state = 'on';
+      await device._syncWithHardware();
+      simulator.requests = [];
+    });
+
+    it('applies a pattern with one PUT /zones, keeping "-" zones as they are', async () => {
+      await device.setZonesByPattern('1 0 - -');
+      assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zones', body: '1 0 0 1' }]);
+      assert.deepEqual(device._getCurrentZoneStates(), [true, false, false, true]);
+
+      await device.setZonesByPattern('--1-');
+      assert.deepEqual(simulator.requests[1], { method: 'PUT', path: '/zones', body: '1 0 1 1' });
+    });
+
+    it('rejects patterns that do not fit the model', async () => {
+      await assert.rejects(device.setZonesByPattern('1 0 1'), /needs 4 values of 0, 1 or -/);
+      await assert.rejects(device.setZonesByPattern('1 0 1 x'), /needs 4 values/);
+      assert.deepEqual(simulator.requests, []);
+    });
+
+    it('turns all enabled zones off in one call and names zones that did not follow', async () => {
+      simulator.state.zones[2].enabled = 0;
+      await device._syncWithHardware();
+      simulator.requests = [];
+
+      assert.deepEqual(await device.setAllZoneStates(false), []);
+      assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zones', body: '0 0 0 0' }]);
+
+      // A switch that ignores part of the request
+      device.client = {
+        setAllZones: async () => ({
+          zones: simulator.state.zones.map((zone, index) => ({ ...zone, id: String(index), state: index === 1 ? 'off' : 'on' })),
+        }),
+      };
+      assert.deepEqual(await device.setAllZoneStates(true), ['Lounge']);
+    });
+  });
+
+  describe('reboot', () => {
+    const timing = { initialDelay: 20, interval: 20, timeout: 2000 };
+
+    afterEach(() => {
+      simulator.rebootTime = 3000;
+      simulator.state.firmware = '1.10.000037';
+      simulator._rebootingUntil = 0;
+    });
+
+    it('waits for the switch, restores the zones and reports a firmware update', async () => {
+      simulator.rebootTime = 150;
+      simulator.pendingFirmware = '1.10.000040';
+      simulator.state.zones[0].state = 'on';
+      simulator.state.zones[2].state = 'on';
+      await device._syncWithHardware();
+
+      await device.rebootSwitch(timing);
+      assert.equal(simulator.state.zones[0].state, 'off');
+
+      // Polls during the downtime are skipped instead of counted as failures
+      await device._syncWithHardware();
+      assert.equal(device._pollFailures, 0);
+      await assert.rejects(device.rebootSwitch(timing), /already rebooting/);
+
+      await device._rebootRecovery;
+
+      assert.deepEqual(simulator.state.zones.map((zone) => zone.state), ['on', 'off', 'on', 'off']);
+      assert.deepEqual(device._getCurrentZoneStates(), [true, false, true, false]);
+      assert.equal(device.getAvailable(), true);
+      assert.equal(device._rebooting, false);
+      assert.ok(device.pollingTimeout);
+
+      const [trigger] = device.homey.flow.triggersFor('firmware_updated');
+      assert.deepEqual(trigger.tokens, { old_version: '1.10.000037', new_version: '1.10.000040' });
+    });
+
+    it('gives up when the switch does not come back', async () => {
+      simulator.rebootTime = 5000;
+      await device._syncWithHardware();
+
+      await device.rebootSwitch({ initialDelay: 20, interval: 20, timeout: 100 });
+      await device._rebootRecovery;
+
+      assert.match(device.errors.join('\n'), /did not come back within 0s/);
+      assert.equal(device._rebooting, false);
+      assert.ok(device.pollingTimeout);
+    });
+  });
+
+  describe('backup and restore', () => {
+    const backup = () => ({
+      version: 1,
+      model: '3S-4Z',
+      serial: '99999999',
+      firmware: '1.10.000037',
+      name: 'Old Switch',
+      exclusive: true,
+      zones: [
+        { zone: 1, name: 'Kitchen', enabled: true },
+        { zone: 2, name: 'Patio', enabled: true },
+        { zone: 3, name: 'Study', enabled: false },
+        { zone: 4, name: 'Pool', enabled: true },
+      ],
+    });
+
+    afterEach(() => {
+      simulator.state.name = 'My Switch';
+      ['Kitchen', 'Lounge', 'Study', 'Pool'].forEach((name, index) => { simulator.state.zones[index].name = name; });
+    });
+
+    it('exports the switch from GET /switch and GET /zones', async () => {
+      simulator.state.zones[3].enabled = 0;
+      const config = await device.exportConfig();
+
+      assert.equal(config.name, 'My Switch');
+      assert.equal(config.exclusive, false);
+      assert.deepEqual(config.zones[3], { zone: 4, name: 'Pool', enabled: false });
+
+      // The read-only setting follows polling
+      await device._syncWithHardware();
+      assert.deepEqual(JSON.parse(device.getSetting('config_backup')), config);
+    });
+
+    it('applies only what differs and reads the switch back', async () => {
+      await device._syncWithHardware();
+      simulator.requests = [];
+
+      const result = await device.importConfig(backup());
+
+      assert.deepEqual(simulator.requests.filter((req) => req.method === 'PUT'), [
+        { method: 'PUT', path: '/switch', body: 'Old Switch' },
+        { method: 'PUT', path: '/zonename/2', body: '1Patio' },
+        { method: 'PUT', path: '/zonename/3', body: '0Study' },
+        { method: 'PUT', path: '/exclusive', body: 'enable' },
+      ]);
+      assert.deepEqual(result.skipped, []);
+      assert.equal(device.getSetting('switch_name'), 'Old Switch');
+      assert.equal(device.getSetting('zone_name2'), 'Patio');
+      assert.equal(device.hasCapability('zone_btn_3'), false);
+      assert.equal(device.isExclusiveMode(), true);
+    });
+
+    it('previews the restore in the settings and applies it on the second save', async () => {
+      await device._syncWithHardware();
+      simulator.requests = [];
+
+      const text = JSON.stringify(backup());
+      const preview = await device.onSettings({
+        oldSettings: device.getSettings(),
+        newSettings: { ...device.getSettings(), config_restore: text },
+        changedKeys: ['config_restore'],
+      });
+      assert.match(preview, /Switch name: "My Switch" → "Old Switch"/);
+      assert.match(preview, /Zone 2: "Lounge" \(enabled\) → "Patio" \(enabled\)/);
+      assert.match(preview, /Exclusive mode: off → on/);
+      assert.equal(simulator.requests.some((req) => req.method === 'PUT'), false);
+
+      await assert.rejects(device.onSettings({
+        oldSettings: device.getSettings(),
+        newSettings: { ...device.getSettings(), config_restore: text, config_restore_apply: true },
+        changedKeys: ['config_restore', 'config_restore_apply'],
+      }), /Save the pasted backup first/);
+
+      const applied = await device.onSettings({
+        oldSettings: { ...device.getSettings(), config_restore: text },
+        newSettings: { ...device.getSettings(), config_restore: text, config_restore_apply: true },
+        changedKeys: ['config_restore_apply'],
+      });
+      assert.match(applied, /^Restored:/);
+      assert.equal(simulator.state.name, 'Old Switch');
+      assert.equal(simulator.state.exclusive, true);
+    });
+
+    it('restores the rest of a backup with names the switch cannot store', async () => {
+      // Names set in the Audioflow app end up in the backup as they are
+      const config = backup();
+      config.zones[1].name = 'Uteplats åt söder';
+      config.zones[3] = { zone: 4, name: '', enabled: false };
+      simulator.requests = [];
+
+      const result = await device.importConfig(config);
+
+      assert.deepEqual(simulator.requests.filter((req) => req.method === 'PUT'), [
+        { method: 'PUT', path: '/switch', body: 'Old Switch' },
+        { method: 'PUT', path: '/zonename/3', body: '0Study' },
+        { method: 'PUT', path: '/zonename/4', body: '0Pool' },
+        { method: 'PUT', path: '/exclusive', body: 'enable' },
+      ]);
+      assert.deepEqual(result.invalid.map(({ zone, name }) => ({ zone, name })), [
+        { zone: 2, name: 'Uteplats åt söder' },
+        { zone: 4, name: '' },
+      ]);
+    });
+
+    it('rejects a backup that is not one', async () => {
+      await assert.rejects(device.previewConfig('{"zones": '), /not valid JSON/);
+      await assert.rejects(device.previewConfig({ version: 2, zones: [] }), /Unsupported backup version 2/);
+    });
+
+    it('clones to a switch with fewer zones, keeping its name', async () => {
+      const small = await startSimulator({ model: '3S-2Z', serial: '22222222' });
+      const smallClient = createClient(small);
+      const target = createDevice({ model: '3S-2Z', client: smallClient });
+
+      try {
+        simulator.state.zones[0].name = 'Bar';
+        simulator.state.zones[1].name = 'Terrace';
+        const result = await device.cloneConfigTo(target);
+
+        assert.deepEqual(result.skipped, [3, 4]);
+        assert.equal(small.state.name, 'My Switch');
+        assert.deepEqual(small.state.zones.map((zone) => zone.name), ['Bar', 'Terrace']);
+        assert.equal(small.requests.some((req) => req.path === '/switch' && req.method === 'PUT'), false);
+        await assert.rejects(device.cloneConfigTo(device), /another switch/);
+      } finally {
+        target.homey.clearAllTimers();
+        smallClient.destroy();
+        await small.stop();
+      }
+    });
+  });
+
+  describe('availability', () => {
+    it('marks the device unavailable after repeated failures and available again on success', async () => {
+      const failing = {
+        features: {},
+        getZones: async () => { throw new AudioflowTimeoutError(); },
+        getSwitch: async () => { throw new AudioflowTimeoutError(); },
+      };
+      device.client = failing;
+
+      await device._syncWithHardware();
+      await device._syncWithHardware();
+      assert.equal(device.getAvailable(), true);
+
+      await device._syncWithHardware();
+      assert.equal(device.getAvailable(), false);
+      assert.match(device._unavailableReason, /does not respond/);
+
+      device.client = client;
+      await device._syncWithHardware();
+      assert.equal(device.getAvailable(), true);
+    });
+
+    it('knows the stored firmware version when a new address creates the client', async () => {
+      const unconfigured = createDevice({ client, store: { firmware_version: '1.09.000020' } });
+      unconfigured.client = null;
+      unconfigured._syncWithHardware = async () => {};
+
+      await unconfigured.updateAddress('127.0.0.2');
+      assert.equal(unconfigured.getSetting('ip_address'), '127.0.0.2');
+      assert.equal(unconfigured.client.firmwareVersion, '1.09.000020');
+      assert.equal(unconfigured.client.features.toggle, false);
+      unconfigured.homey.clearAllTimers();
+      unconfigured.client.destroy();
+    });
+  });
+
+  describe('zone bindings', () => {
+    let door;
+    let homeyDevices;
+
+    function saveBindings(text) {
+      return device.onSettings({
+        oldSettings: device.getSettings(),
+        newSettings: { ...device.getSettings(), zone_bindings: text },
+        changedKeys: ['zone_bindings'],
+      });
+    }
+
+    beforeEach(async () => {
+      door = createApiDevice('door', 'Patio door', { alarm_contact: false });
+      homeyDevices = { door };
+      device.homey.app = {
+        zoneBindings: new ZoneBindingManager({
+          getDevices: async () => homeyDevices,
+          setTimeout: (fn, ms) => device.homey.setTimeout(fn, ms),
+          clearTimeout: (timer) => device.homey.clearTimeout(timer),
+        }),
+      };
+      await device._syncWithHardware();
+    });
+
+    it('switches the zone when the bound device changes', async () => {
+      await saveBindings('2: Patio door / alarm_contact');
+
+      await door.report('alarm_contact', true);
+      assert.equal(simulator.state.zones[1].state, 'on');
+      assert.equal(device.getCapabilityValue('zone_btn_2'), true);
+
+      // Saving takes the device's current value right away
+      await saveBindings('2: Patio door / alarm_contact, invert');
+      assert.equal(simulator.state.zones[1].state, 'off');
+
+      // Nothing to send when the zone already matches
+      simulator.requests = [];
+      await saveBindings('2: Patio door / alarm_contact, invert');
+      assert.deepEqual(simulator.requests.filter((req) => req.method === 'PUT'), []);
+    });
+
+    it('pauses the binding when the zone is switched in Homey', async () => {
+      await saveBindings('1: Patio door / alarm_contact');
+
+      await device.triggerCapabilityListener('zone_btn_1', true);
+      assert.equal(device.homey.app.zoneBindings.isPaused(device.getData().id, 1), true);
+
+      await door.report('alarm_contact', true);
+      await door.report('alarm_contact', false);
+      assert.equal(simulator.state.zones[0].state, 'off');
+    });
+
+    it('follows a renamed device after a restart and warns about the ones it cannot find', async () => {
+      const text = '1: Patio door / alarm_contact\n2: Amplifier plug / onoff';
+      homeyDevices.plug = createApiDevice('plug', 'Amplifier plug', { onoff: false });
+      await saveBindings(text);
+      await device.setSettings({ zone_bindings: text });
+      assert.deepEqual(device.getStoreValue('zone_binding_devices'), { 'Patio door': 'door', 'Amplifier plug': 'plug' });
+
+      // Homey restarts after the door was renamed and the plug removed
+      door.name = 'Terrace door';
+      delete homeyDevices.plug;
+      device.homey.app.zoneBindings.remove(device.getData().id);
+      await device._setZoneBindings(device.getSetting('zone_bindings'), { partial: true });
+
+      assert.equal(device._warning, 'Zone bindings: Zone 2: no device named "Amplifier plug"');
+      await door.report('alarm_contact', true);
+      assert.equal(simulator.state.zones[0].state, 'on');
+      assert.deepEqual(device.getStoreValue('zone_binding_devices'), { 'Patio door': 'door', 'Amplifier plug': 'plug' });
+
+      // Fixing the setting clears the warning
+      await saveBindings('1: Patio door / alarm_contact');
+      assert.equal(device._warning, null);
+    });
+
+    it('rejects unknown devices and stops following when cleared or deleted', async () => {
+      await assert.rejects(saveBindings('1: Garage door / alarm_contact'), { message: 'Zone 1: no device named "Garage door"' });
+
+      await saveBindings('1: Patio door / alarm_contact');
+      await saveBindings('');
+      assert.deepEqual(door.listeners, {});
+
+      await saveBindings('1: Patio door / alarm_contact');
+      await device.onDeleted();
+      assert.deepEqual(door.listeners, {});
+    });
+  });
+
+  describe('onSettings', () => {
+    function settingsChange(changes) {
+      return {
+        oldSettings: device.getSettings(),
+        newSettings: { ...device.getSettings(), ...changes },
+        changedKeys: Object.keys(changes),
+      };
+    }
+
+    beforeEach(async () => {
+      await device._syncWithHardware();
+    });
+
+    it('sends the zone name and enabled flag in one call', async () => {
+      simulator.requests = [];
+      await device.onSettings(settingsChange({ zone_name2: 'Patio', enabled_zone2: false }));
+
+      assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zonename/2', body: '0Patio' }]);
+      assert.equal(device.hasCapability('zone_btn_2'), false);
+    });
+
+    it('enables and disables a zone with the name the switch already holds', async () => {
+      // Names set in the Audioflow app that Homey would not accept as a new name
+      simulator.state.zones[0].name = 'Kök';
+      simulator.state.zones[1].name = '';
+      await device._syncWithHardware();
+      simulator.requests = [];
+
+      await device.onSettings(settingsChange({ enabled_zone1: false }));
+      await device.onSettings(settingsChange({ enabled_zone2: false }));
+
+      assert.deepEqual(simulator.requests.filter((req) => req.method === 'PUT'), [
+        { method: 'PUT', path: '/zonename/1', body: '0Kök' },
+        { method: 'PUT', path: '/zonename/2', body: '0' },
+      ]);
+      assert.equal(simulator.state.zones[0].name, 'Kök');
+      assert.equal(simulator.state.zones[1].name, '');
+    });
+
+    it('rejects names the switch cannot store', async () => {
+      await assert.rejects(device.onSettings(settingsChange({ zone_name1: 'Living room speakers' })), /at most 15/);
+      await assert.rejects(device.onSettings(settingsChange({ switch_name: 'Vardagsrum ÅÄÖ' })), /plain ASCII/);
+    });
+
+    it('wraps hardware failures in a readable error', async () => {
+      device.client = {
+        setZoneEnabled: async () => { throw new Error('HTTP request failed: connect ECONNREFUSED'); },
+        setExclusiveMode: async () => { throw new Error('Request timeout'); },
+      };
+
+      await assert.rejects(
+        device.onSettings(settingsChange({ enabled_zone1: false })),
+        { message: 'Hardware update failed: HTTP request failed: connect ECONNREFUSED' },
+      );
+      await assert.rejects(
+        device.onSettings(settingsChange({ exclusive_mode: true })),
+        { message: 'Failed to set exclusive mode: Request timeout' },
+      );
+    });
+
+    it('passes firmware errors through unchanged', async () => {
+      client.setFirmwareVersion('1.09.000001');
+      await assert.rejects(device.onSettings(settingsChange({ exclusive_mode: true })), {
+        name: 'AudioflowFirmwareError',
+        message: /^Firmware too old/,
+      });
+    });
+
+    it('refuses a weekly reboot the firmware cannot do', async () => {
+      client.setFirmwareVersion('1.09.000001');
+      await assert.rejects(device.onSettings(settingsChange({ reboot_day: 'sun' })), { name: 'AudioflowFirmwareError' });
+      assert.ok(!device.weeklyRebootTimeout);
+      await device.onSettings(settingsChange({ reboot_day: 'off' }));
+    });
+
+    it('validates the scene editor text', async () => {
+      await assert.rejects(device.onSettings(settingsChange({ scenes: 'Dinner: 1 1' })), /needs 4 values/);
+      await device.onSettings(settingsChange({ scenes: 'Dinner: 1 1 0 0' }));
+      assert.deepEqual(device.getStoreValue('scenes'), { Dinner: [true, true, false, false] });
+    });
+  });
+});
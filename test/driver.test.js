@@ -0,0 +1,279 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createHomey } = require('homey');
+const AudioflowDriver = require('../drivers/audioflow/driver');
+const AudioflowDevice = require('../drivers/audioflow/device');
+const AudioflowClient = require('../lib/AudioflowClient');
+const DiscoveryService = require('../lib/DiscoveryService');
+const locales = require('../locales/en.json');
+const { startSimulator } = require('./support/switches');
+
+describe('AudioflowDriver', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = new AudioflowDriver({ homey: createHomey({ locales }) });
+  });
+
+  describe('pairing and repair', () => {
+    let simulator;
+
+    function createSession() {
+      const handlers = {};
+      return { handlers, setHandler: (event, handler) => { handlers[event] = handler; } };
+    }
+
+    before(async () => {
+      simulator = await startSimulator({ udpPort: 0, model: '3S-2Z', serial: '12345678' });
+    });
+
+    after(async () => {
+      await simulator.stop();
+    });
+
+    beforeEach(() => {
+      driver.homey.app = {
+        discovery: new DiscoveryService({
+          addresses: ['127.0.0.1'],
+          udpPort: simulator.udpPort,
+          httpPort: simulator.httpPort,
+          timeout: 300,
+          getInterfaces: () => ({}),
+        }),
+      };
+    });
+
+    it('lists the switches the discovery service finds', async () => {
+      const session = createSession();
+      await driver.onPair(session);
+      await session.handlers.set_zone_devices({ enabled: true });
+
+      assert.deepEqual(await session.handlers.list_devices(), [{
+        name: 'Audioflow 3S-2Z',
+        data: { id: '12345678' },
+        settings: { ip_address: '127.0.0.1', zone_devices: true },
+        store: { model: '3S-2Z', serial: '12345678' },
+      }]);
+      assert.equal(driver.homey.app.discovery.lookup('12345678'), '127.0.0.1');
+    });
+
+    it('falls back to an IP based id when the serial is missing', () => {
+      const device = driver._buildDeviceDescriptor('3S-4Z', '', '192.168.1.50');
+      assert.equal(device.data.id, 'AF_192_168_1_50');
+      assert.equal(device.store.serial, '');
+    });
+
+    it('repairs with the address found, as soon as the switch answers', async () => {
+      driver.homey.app.discovery.timeout = 5000;
+      let updatedAddress = null;
+      const device = {
+        getName: () => 'Audioflow 3S-2Z',
+        getData: () => ({ id: '12345678' }),
+        getStoreValue: (key) => (key === 'serial' ? '12345678' : null),
+        updateAddress: async (address) => { updatedAddress = address; },
+      };
+
+      const session = createSession();
+      await driver.onRepair(session, device);
+      const started = Date.now();
+      const result = await session.handlers.list_devices();
+
+      assert.ok(Date.now() - started < 2000);
+      assert.equal(updatedAddress, '127.0.0.1');
+      assert.deepEqual(result, [{ name: 'Audioflow 3S-2Z', data: { id: '12345678' }, settings: { ip_address: '127.0.0.1' } }]);
+    });
+  });
+
+  describe('_probeManualAddress', () => {
+    let simulator;
+
+    before(async () => {
+      simulator = await startSimulator({ model: '3S-3Z', serial: '87654321' });
+    });
+
+    after(async () => {
+      await simulator.stop();
+    });
+
+    beforeEach(() => {
+      driver.homey.app = { discovery: new DiscoveryService() };
+    });
+
+    it('rejects something that is not an IPv4 address', async () => {
+      await assert.rejects(driver._probeManualAddress('audioflow.local'), { message: locales.pair.error.invalid_ip });
+      await assert.rejects(driver._probeManualAddress('192.168.1.300'), { message: locales.pair.error.invalid_ip });
+    });
+
+    it('builds the same descriptor as discovery and caches the address', async () => {
+      // The real switch listens on port 80, point the probe at the simulator
+      driver._createProbeClient = (address) => new AudioflowClient(address, { port: simulator.httpPort, retries: 0 });
+
+      const device = await driver._probeManualAddress('127.0.0.1');
+      assert.deepEqual(device, driver._buildDeviceDescriptor('3S-3Z', '87654321', '127.0.0.1'));
+      assert.equal(driver.homey.app.discovery.lookup('87654321'), '127.0.0.1');
+    });
+
+    it('reports a host that is not an Audioflow switch', async () => {
+      const server = http.createServer((req, res) => { res.writeHead(404); res.end('Not found'); });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      driver._createProbeClient = (address) => new AudioflowClient(address, { port: server.address().port, retries: 0 });
+
+      try {
+        await assert.rejects(driver._probeManualAddress('127.0.0.1'), { message: locales.pair.error.not_audioflow });
+      } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it('reports a switch that does not answer in time', async () => {
+      const server = http.createServer(() => {});
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      driver._createProbeClient = (address) => new AudioflowClient(address, { port: server.address().port, retries: 0, timeout: 50 });
+
+      try {
+        await assert.rejects(driver._probeManualAddress('127.0.0.1'), { message: locales.pair.error.timeout });
+      } finally {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it('reports a host that refuses the connection', async () => {
+      driver._createProbeClient = (address) => new AudioflowClient(address, { port: 1, retries: 0 });
+      await assert.rejects(driver._probeManualAddress('127.0.0.1'), { message: locales.pair.error.connection_failed });
+    });
+  });
+
+  describe('zone Flow cards', () => {
+    function addSwitch(id, model, zoneNames, disabledZones = []) {
+      const device = new AudioflowDevice({
+        homey: driver.homey,
+        driver,
+        name: `Audioflow ${model}`,
+        data: { id },
+        store: { model, zone_names: zoneNames },
+      });
+      device.zoneCount = device._getZoneCount(model);
+      for (let i = 1; i <= device.zoneCount; i++) {
+        if (!disabledZones.includes(i)) device._capabilities[`zone_btn_${i}`] = false;
+      }
+      driver._devices.push(device);
+      return device;
+    }
+
+    beforeEach(async () => {
+      await driver.onInit();
+    });
+
+    it('offers only the enabled zones of each switch, by name', async () => {
+      addSwitch('11111111', '3S-2Z', { 1: 'Kitchen', 2: 'Patio' });
+      addSwitch('22222222', '3S-4Z', { 1: 'Lounge', 2: 'Study', 3: 'Pool', 4: 'Garage' }, [3]);
+
+      const autocomplete = driver.homey.flow.getActionCard('turn_zone_on').autocompleteListeners.zone;
+      const results = await autocomplete('', {});
+
+      assert.deepEqual(results.map((result) => result.id), ['11111111:1', '11111111:2', '22222222:1', '22222222:2', '22222222:4']);
+      assert.deepEqual(results[1], { id: '11111111:2', name: 'Patio', description: 'Audioflow 3S-2Z, zone 2' });
+      assert.deepEqual((await autocomplete('pat', {})).map((result) => result.name), ['Patio']);
+    });
+
+    it('resolves autocomplete selections and old zone numbers', () => {
+      const twoZone = addSwitch('11111111', '3S-2Z', {});
+      const fourZone = addSwitch('22222222', '3S-4Z', {});
+
+      assert.deepEqual(driver.resolveZoneArg({ id: '22222222:2', name: 'Study' }), { device: fourZone, zoneNum: 2 });
+      assert.deepEqual(driver.resolveZoneArg('1'), { device: twoZone, zoneNum: 1 });
+      assert.deepEqual(driver.resolveZoneArg('4'), { device: fourZone, zoneNum: 4 });
+      assert.throws(() => driver.resolveZoneArg({ id: '99999999:1', name: 'Gone' }), /"Gone" is no longer paired/);
+    });
+
+    it('offers the zones of the card\'s own switch on cards with a device argument', async () => {
+      const kitchen = addSwitch('11111111', '3S-2Z', { 1: 'Kitchen', 2: 'Patio' });
+      const lounge = addSwitch('22222222', '3S-4Z', { 1: 'Lounge', 2: 'Study', 3: 'Pool', 4: 'Garage' }, [3]);
+      const { flow } = driver.homey;
+
+      for (const card of [flow.getActionCard('toggle_zone'), flow.getActionCard('rename_zone'), flow.getActionCard('turn_zone_on_for'), flow.getConditionCard('zone_on_for')]) {
+        const results = await card.autocompleteListeners.zone('', { device: lounge });
+        assert.deepEqual(results.map((result) => result.id), ['22222222:1', '22222222:2', '22222222:4']);
+        assert.deepEqual(results[1], { id: '22222222:2', name: 'Study', description: 'Zone 2' });
+      }
+
+      const turnedOn = [];
+      lounge.turnZoneOnFor = async (zoneNum, minutes) => { turnedOn.push([zoneNum, minutes]); };
+      const turnZoneOnFor = flow.getActionCard('turn_zone_on_for').runListener;
+      await turnZoneOnFor({ device: lounge, zone: { id: '22222222:4', name: 'Garage' }, minutes: 10 });
+      // Flows saved with the old dropdown
+      await turnZoneOnFor({ device: lounge, zone: '2', minutes: 5 });
+      assert.deepEqual(turnedOn, [[4, 10], [2, 5]]);
+
+      await assert.rejects(
+        turnZoneOnFor({ device: kitchen, zone: { id: '22222222:4', name: 'Garage' }, minutes: 10 }),
+        { message: '"Garage" is not a zone of Audioflow 3S-2Z, select the zone again' },
+      );
+    });
+
+    it('turns all zones off on every switch and names the ones that failed', async () => {
+      const calls = [];
+      const fakeSwitch = (name, result) => ({
+        getName: () => name,
+        setAllZoneStates: async (value) => {
+          calls.push([name, value]);
+          if (result instanceof Error) throw result;
+          return result;
+        },
+      });
+      driver._devices.push(fakeSwitch('Upstairs', []), fakeSwitch('Garden', ['Patio']), fakeSwitch('Garage', new Error('Request timeout')));
+
+      await assert.rejects(
+        driver.homey.flow.getActionCard('turn_all_zones_off').runListener({}),
+        { message: 'Failed to turn zones off: Garden (Patio); Garage (Request timeout)' },
+      );
+      assert.deepEqual(calls, [['Upstairs', false], ['Garden', false], ['Garage', false]]);
+    });
+
+    it('matches triggers on the selected switch, or on any switch for old flows', async () => {
+      const trigger = driver.homey.flow.getTriggerCard('zone_turned_on').runListener;
+      const state = { deviceId: '22222222', zone: '2' };
+
+      assert.equal(await trigger({ zone: { id: '22222222:2' } }, state), true);
+      assert.equal(await trigger({ zone: { id: '11111111:2' } }, state), false);
+      assert.equal(await trigger({ zone: '2' }, state), true);
+      assert.equal(await trigger({ zone: '3' }, state), false);
+    });
+
+    it('refuses the cards that need newer firmware before contacting the switch', async () => {
+      const device = addSwitch('11111111', '3S-4Z', {});
+      device.client = new AudioflowClient('127.0.0.1', { port: 1, retries: 0, firmwareVersion: '1.09.000020' });
+      const { flow } = driver.homey;
+
+      const tooOld = { name: 'AudioflowFirmwareError', message: /^Firmware too old: .* the switch runs v1\.09\.000020$/ };
+      await assert.rejects(flow.getActionCard('toggle_zone').runListener({ device, zone: '1' }), tooOld);
+      await assert.rejects(flow.getActionCard('reboot_switch').runListener({ device }), tooOld);
+      await assert.rejects(flow.getActionCard('enable_exclusive_mode').runListener({ device }), tooOld);
+      await assert.rejects(flow.getConditionCard('is_exclusive_mode_on').runListener({ device }), tooOld);
+      device.client.destroy();
+    });
+
+    it('offers the other switches as clone targets', async () => {
+      const source = addSwitch('11111111', '3S-4Z', {});
+      const target = addSwitch('22222222', '3S-2Z', {});
+      const card = driver.homey.flow.getActionCard('clone_switch_config');
+
+      const results = await card.autocompleteListeners.target('', { device: source });
+      assert.deepEqual(results, [{ name: 'Audioflow 3S-2Z', description: '3S-2Z', id: '22222222' }]);
+
+      let cloned = null;
+      source.cloneConfigTo = async (device) => { cloned = device; };
+      await card.runListener({ device: source, target: results[0] });
+      assert.equal(cloned, target);
+
+      driver._devices.pop();
+      await assert.rejects(card.runListener({ device: source, target: results[0] }), /no longer paired/);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Stand-in for a device from the Homey Web API (homey-api), as the zone
+ * binding manager sees it. Capabilities are given as { id: value }; booleans
+ * become boolean capabilities, anything else a number.
+ */
+function createApiDevice(id, name, capabilities) {
+  const listeners = {};
+  const capabilitiesObj = {};
+  for (const [capabilityId, value] of Object.entries(capabilities)) {
+    capabilitiesObj[capabilityId] = { id: capabilityId, type: typeof value === 'boolean' ? 'boolean' : 'number', value };
+  }
+
+  return {
+    id,
+    name,
+    capabilitiesObj,
+    listeners,
+    makeCapabilityInstance(capabilityId, listener) {
+      listeners[capabilityId] = listener;
+      return { destroy: () => { delete listeners[capabilityId]; } };
+    },
+
+    /**
+     * Stand-in only: the device reports a new value. Resolves once a binding
+     * that switches right away is done.
+     */
+    async report(capabilityId, value) {
+      capabilitiesObj[capabilityId].value = value;
+      if (listeners[capabilityId]) await listeners[capabilityId](value);
+    },
+  };
+}
+
+module.exports = { createApiDevice };
@@ -0,0 +1,214 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Minimal stand-in for the Homey Apps SDK v3, enough to run the driver and
+ * device classes outside of Homey. Only the parts the app uses are modelled.
+ */
+
+class FlowCard {
+  constructor(id, flow) {
+    this.id = id;
+    this.flow = flow;
+    this.runListener = null;
+    this.autocompleteListeners = {};
+  }
+
+  registerRunListener(listener) {
+    this.runListener = listener;
+    return this;
+  }
+
+  registerArgumentAutocompleteListener(arg, listener) {
+    this.autocompleteListeners[arg] = listener;
+    return this;
+  }
+
+  async trigger(...args) {
+    // Device cards: trigger(device, tokens, state), app cards: trigger(tokens, state)
+    const [device, tokens, state] = args[0] instanceof Device ? args : [null, ...args];
+    this.flow.triggered.push({ id: this.id, device, tokens, state });
+    return true;
+  }
+}
+
+class FlowManager {
+  constructor() {
+    this.cards = {};
+    this.triggered = [];
+  }
+
+  _card(id) {
+    if (!this.cards[id]) this.cards[id] = new FlowCard(id, this);
+    return this.cards[id];
+  }
+
+  getActionCard(id) { return this._card(id); }
+  getConditionCard(id) { return this._card(id); }
+  getTriggerCard(id) { return this._card(id); }
+  getDeviceTriggerCard(id) { return this._card(id); }
+
+  triggersFor(id) {
+    return this.triggered.filter((entry) => entry.id === id);
+  }
+}
+
+class DriverManager {
+  constructor() {
+    this._drivers = {};
+  }
+
+  getDriver(id) {
+    if (!this._drivers[id]) throw new Error(`Driver Not Initialized: ${id}`);
+    return this._drivers[id];
+  }
+
+  /**
+   * Stand-in only: makes a driver available to getDriver().
+   */
+  setDriver(id, driver) {
+    this._drivers[id] = driver;
+  }
+}
+
+class SettingsManager {
+  constructor() {
+    this._values = {};
+  }
+
+  get(key) { return Object.prototype.hasOwnProperty.call(this._values, key) ? this._values[key] : null; }
+  set(key, value) { this._values[key] = value; }
+  unset(key) { delete this._values[key]; }
+}
+
+function createHomey(options = {}) {
+  const timers = new Set();
+  return {
+    flow: new FlowManager(),
+    drivers: new DriverManager(),
+    clock: {
+      getTimezone: () => options.timezone || 'UTC',
+    },
+    settings: new SettingsManager(),
+    locales: options.locales || {},
+    setTimeout(fn, ms) {
+      const timer = setTimeout(() => { timers.delete(timer); fn(); }, ms);
+      timers.add(timer);
+      return timer;
+    },
+    clearTimeout(timer) { timers.delete(timer); clearTimeout(timer); },
+    setInterval(fn, ms) {
+      const timer = setInterval(fn, ms);
+      timers.add(timer);
+      return timer;
+    },
+    clearInterval(timer) { timers.delete(timer); clearInterval(timer); },
+    clearAllTimers() {
+      for (const timer of timers) { clearTimeout(timer); clearInterval(timer); }
+      timers.clear();
+    },
+    __(key) {
+      return key.split('.').reduce((node, part) => (node ? node[part] : undefined), this.locales) || key;
+    },
+  };
+}
+
+class SimpleClass extends EventEmitter {
+  constructor({ homey } = {}) {
+    super();
+    this.homey = homey || createHomey();
+    this.logs = [];
+    this.errors = [];
+    this.log = (...args) => { this.logs.push(args.join(' ')); };
+    this.error = (...args) => { this.errors.push(args.map((arg) => (arg && arg.message) || arg).join(' ')); };
+  }
+}
+
+class App extends SimpleClass {}
+
+class Driver extends SimpleClass {
+  constructor(options = {}) {
+    super(options);
+    this._devices = options.devices || [];
+  }
+
+  getDevices() {
+    return this._devices;
+  }
+}
+
+class Device extends SimpleClass {
+  constructor(options = {}) {
+    super(options);
+    this.driver = options.driver || null;
+    this._name = options.name || 'Audioflow 3S-4Z';
+    this._data = options.data || { id: '00000000' };
+    this._settings = { ...(options.settings || {}) };
+    this._store = { ...(options.store || {}) };
+    this._capabilities = {};
+    this._capabilityOptions = {};
+    this._listeners = {};
+    this._available = true;
+    this._unavailableReason = null;
+    this._warning = null;
+    for (const id of options.capabilities || []) this._capabilities[id] = null;
+  }
+
+  getName() { return this._name; }
+  getData() { return this._data; }
+
+  getSetting(key) { return this._settings[key]; }
+  getSettings() { return { ...this._settings }; }
+  async setSettings(settings) { Object.assign(this._settings, settings); }
+
+  getStoreValue(key) { return this._store[key]; }
+  getStore() { return { ...this._store }; }
+  async setStoreValue(key, value) { this._store[key] = value; }
+  async unsetStoreValue(key) { delete this._store[key]; }
+
+  getCapabilities() { return Object.keys(this._capabilities); }
+  hasCapability(id) { return Object.prototype.hasOwnProperty.call(this._capabilities, id); }
+  async addCapability(id) { if (!this.hasCapability(id)) this._capabilities[id] = null; }
+  async removeCapability(id) {
+    delete this._capabilities[id];
+    delete this._capabilityOptions[id];
+  }
+
+  getCapabilityValue(id) {
+    if (!this.hasCapability(id)) throw new Error(`Invalid Capability: ${id}`);
+    return this._capabilities[id];
+  }
+
+  async setCapabilityValue(id, value) {
+    if (!this.hasCapability(id)) throw new Error(`Invalid Capability: ${id}`);
+    this._capabilities[id] = value;
+  }
+
+  getCapabilityOptions(id) { return this._capabilityOptions[id] || {}; }
+  async setCapabilityOptions(id, options) { this._capabilityOptions[id] = options; }
+
+  registerCapabilityListener(id, listener) { this._listeners[id] = listener; }
+
+  /**
+   * Simulates a user pressing a capability in the Homey app.
+   */
+  async triggerCapabilityListener(id, value) {
+    if (!this._listeners[id]) throw new Error(`No listener for ${id}`);
+    await this._listeners[id](value, {});
+    this._capabilities[id] = value;
+  }
+
+  getAvailable() { return this._available; }
+  async setAvailable() { this._available = true; this._unavailableReason = null; }
+  async setUnavailable(reason) { this._available = false; this._unavailableReason = reason; }
+  async setWarning(message) { this._warning = message; }
+  async unsetWarning() { this._warning = null; }
+}
+
+module.exports = {
+  App,
+  Driver,
+  Device,
+  createHomey,
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Preloaded by `npm test`: makes require('homey') resolve to the stand-in,
+ * since the real SDK only exists on a Homey.
+ */
+
+const Module = require('module');
+const path = require('path');
+
+const standIn = path.join(__dirname, 'homey.js');
+const originalResolve = Module._resolveFilename;
+
+Module._resolveFilename = function resolveFilename(request, ...args) {
+  if (request === 'homey') return standIn;
+  return originalResolve.call(this, request, ...args);
+};
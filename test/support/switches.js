@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Switch fixtures shared by the tests: simulated switches on a free local
+ * port and paired switch devices that talk to them.
+ */
+
+const AudioflowDevice = require('../../drivers/audioflow/device');
+const AudioflowClient = require('../../lib/AudioflowClient');
+const AudioflowSimulator = require('../../tools/audioflow-simulator');
+
+const ZONE_CAPABILITIES = ['zone_btn_1', 'zone_btn_2', 'zone_btn_3', 'zone_btn_4'];
+
+const startNames = new WeakMap();
+
+/**
+ * Start a simulator on a free HTTP port, without discovery unless a udpPort
+ * is given.
+ */
+async function startSimulator(options = {}) {
+  const simulator = new AudioflowSimulator({ host: '127.0.0.1', httpPort: 0, udpPort: null, ...options });
+  await simulator.start();
+  startNames.set(simulator, simulator.state.zones.map((zone) => zone.name));
+  return simulator;
+}
+
+/**
+ * Every zone enabled and off with the name it started with, exclusive mode
+ * off and no recorded requests.
+ */
+function resetSimulator(simulator) {
+  const names = startNames.get(simulator);
+  simulator.requests = [];
+  simulator.state.exclusive = false;
+  simulator.state.zones.forEach((zone, index) => {
+    zone.state = 'off';
+    zone.enabled = 1;
+    zone.name = names[index];
+  });
+}
+
+function createClient(simulator, options = {}) {
+  return new AudioflowClient('127.0.0.1', { port: simulator.httpPort, retries: 0, timeout: 500, ...options });
+}
+
+/**
+ * A paired switch device the way onInit leaves it, without starting the
+ * poller. It talks to the simulator unless a client is given.
+ */
+function createSwitch({
+  homey, driver, simulator, client, model = '3S-4Z', serial = '00000000', name = `Switch ${serial}`,
+  settings = {}, store = {}, capabilities = [],
+}) {
+  const device = new AudioflowDevice({
+    homey,
+    driver,
+    name,
+    data: { id: serial },
+    settings: { ip_address: '127.0.0.1', ...settings },
+    store: { model, serial, ...store },
+    capabilities: [...ZONE_CAPABILITIES, ...capabilities],
+  });
+  device.zoneCount = device._getZoneCount(model);
+  device.client = client || createClient(simulator);
+  for (let i = 1; i <= device.zoneCount; i++) device._registerZoneListener(i);
+  return device;
+}
+
+module.exports = {
+  startSimulator,
+  resetSimulator,
+  createClient,
+  createSwitch,
+};
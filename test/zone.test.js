@@ -0,0 +1,148 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('homey');
+const AudioflowDriver = require('../drivers/audioflow/driver');
+const ZoneDriver = require('../drivers/zone/driver');
+const ZoneDevice = require('../drivers/zone/device');
+const locales = require('../locales/en.json');
+const { startSimulator, resetSimulator, createSwitch } = require('./support/switches');
+
+describe('Zone devices', () => {
+  let simulator;
+  let homey;
+  let zoneDriver;
+  let parent;
+
+  async function createZoneDevice(zone) {
+    const device = new ZoneDevice({
+      homey,
+      driver: zoneDriver,
+      name: `Zone ${zone}`,
+      data: { id: `11111111_zone${zone}` },
+      store: { deviceId: '11111111', zone },
+      capabilities: ['onoff'],
+    });
+    zoneDriver._devices.push(device);
+    await device.onInit();
+    return device;
+  }
+
+  before(async () => {
+    simulator = await startSimulator({ serial: '11111111' });
+  });
+
+  after(async () => {
+    await simulator.stop();
+  });
+
+  beforeEach(async () => {
+    resetSimulator(simulator);
+
+    homey = createHomey({ locales });
+    const audioflowDriver = new AudioflowDriver({ homey });
+    homey.drivers.setDriver('audioflow', audioflowDriver);
+
+    parent = createSwitch({
+      homey,
+      driver: audioflowDriver,
+      simulator,
+      serial: '11111111',
+      name: 'Audioflow 3S-4Z',
+      settings: { zone_devices: true },
+    });
+    audioflowDriver._devices.push(parent);
+
+    zoneDriver = new ZoneDriver({ homey });
+    await zoneDriver.onInit();
+    await parent._syncWithHardware();
+  });
+
+  afterEach(() => {
+    homey.clearAllTimers();
+    parent.client.destroy();
+  });
+
+  it('follows the zone state and name from the switch poller', async () => {
+    const patio = await createZoneDevice(2);
+    assert.equal(patio.getCapabilityValue('onoff'), false);
+    assert.equal(patio.getSetting('zone_name'), 'Lounge');
+
+    simulator.state.zones[1].state = 'on';
+    simulator.state.zones[1].name = 'Patio';
+    await parent._syncWithHardware();
+
+    assert.equal(patio.getCapabilityValue('onoff'), true);
+    assert.equal(patio.getSetting('zone_name'), 'Patio');
+  });
+
+  it('switches the zone through the shared client', async () => {
+    const patio = await createZoneDevice(2);
+    simulator.requests = [];
+
+    await patio.triggerCapabilityListener('onoff', true);
+
+    assert.deepEqual(simulator.requests, [{ method: 'PUT', path: '/zones/2', body: '1' }]);
+    assert.equal(parent.getCapabilityValue('zone_btn_2'), true);
+  });
+
+  it('pauses the zone binding like the switch buttons do', async () => {
+    const paused = [];
+    homey.app = { zoneBindings: { pause: (deviceId, zone) => paused.push([deviceId, zone]) } };
+    parent._hasZoneBindings = true;
+
+    const patio = await createZoneDevice(2);
+    await patio.triggerCapabilityListener('onoff', true);
+    assert.deepEqual(paused, [['11111111', 2]]);
+  });
+
+  it('is unavailable while the zone is disabled or the mode is off', async () => {
+    const patio = await createZoneDevice(2);
+
+    simulator.state.zones[1].enabled = 0;
+    await parent._syncWithHardware();
+    assert.equal(patio.getAvailable(), false);
+    assert.match(patio._unavailableReason, /disabled on the switch/);
+
+    simulator.state.zones[1].enabled = 1;
+    await parent._syncWithHardware();
+    assert.equal(patio.getAvailable(), true);
+
+    await parent.setSettings({ zone_devices: false });
+    await patio.refreshState();
+    assert.match(patio._unavailableReason, /turned off in the switch settings/);
+  });
+
+  describe('pairing', () => {
+    function createSession() {
+      const handlers = {};
+      return { handlers, setHandler: (event, handler) => { handlers[event] = handler; } };
+    }
+
+    it('lists the enabled zones of switches with zone devices on', async () => {
+      simulator.state.zones[3].enabled = 0;
+      await parent._syncWithHardware();
+
+      const session = createSession();
+      await zoneDriver.onPair(session);
+      const devices = await session.handlers.list_devices();
+
+      assert.deepEqual(devices.map((device) => device.data.id), ['11111111_zone1', '11111111_zone2', '11111111_zone3']);
+      assert.deepEqual(devices[1], {
+        name: 'Lounge',
+        data: { id: '11111111_zone2' },
+        store: { deviceId: '11111111', zone: 2 },
+      });
+    });
+
+    it('explains how to turn the mode on when no switch has it', async () => {
+      await parent.setSettings({ zone_devices: false });
+
+      const session = createSession();
+      await zoneDriver.onPair(session);
+      await assert.rejects(session.handlers.list_devices(), /Turn on "Zone devices"/);
+    });
+  });
+});
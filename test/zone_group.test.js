@@ -0,0 +1,142 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('homey');
+const AudioflowDriver = require('../drivers/audioflow/driver');
+const ZoneGroupDriver = require('../drivers/zone_group/driver');
+const ZoneGroupDevice = require('../drivers/zone_group/device');
+const locales = require('../locales/en.json');
+const { startSimulator, resetSimulator, createSwitch } = require('./support/switches');
+
+// Groups refresh from a driver event without being awaited
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Zone groups', () => {
+  const simulators = [];
+  let homey;
+  let audioflowDriver;
+  let groupDriver;
+  let switches;
+
+  async function createGroup(members) {
+    const group = new ZoneGroupDevice({
+      homey,
+      driver: groupDriver,
+      name: 'Downstairs',
+      data: { id: 'group' },
+      store: { members },
+      capabilities: ['onoff', 'zone_group_state'],
+    });
+    groupDriver._devices.push(group);
+    await group.onInit();
+    return group;
+  }
+
+  before(async () => {
+    for (const serial of ['11111111', '22222222']) simulators.push(await startSimulator({ serial }));
+  });
+
+  after(async () => {
+    for (const simulator of simulators) await simulator.stop();
+  });
+
+  beforeEach(async () => {
+    simulators.forEach(resetSimulator);
+
+    homey = createHomey({ locales });
+    audioflowDriver = new AudioflowDriver({ homey });
+    homey.drivers.setDriver('audioflow', audioflowDriver);
+    switches = simulators.map((simulator) => createSwitch({ homey, driver: audioflowDriver, simulator, serial: simulator.serial }));
+    audioflowDriver._devices.push(...switches);
+
+    groupDriver = new ZoneGroupDriver({ homey });
+    await groupDriver.onInit();
+    for (const device of switches) await device._syncWithHardware();
+  });
+
+  afterEach(() => {
+    homey.clearAllTimers();
+    for (const device of switches) device.client.destroy();
+  });
+
+  const members = [
+    { deviceId: '11111111', zone: 1 },
+    { deviceId: '11111111', zone: 2 },
+    { deviceId: '22222222', zone: 4 },
+  ];
+
+  it('switches each switch with a single command', async () => {
+    const group = await createGroup(members);
+    simulators.forEach((simulator) => { simulator.requests = []; });
+
+    await group.triggerCapabilityListener('onoff', true);
+
+    assert.deepEqual(simulators[0].requests, [{ method: 'PUT', path: '/zones', body: '1 1 0 0' }]);
+    assert.deepEqual(simulators[1].requests, [{ method: 'PUT', path: '/zones/4', body: '1' }]);
+    assert.equal(group.getCapabilityValue('zone_group_state'), 'all_on');
+  });
+
+  it('computes all on, some on and all off from its members', async () => {
+    const group = await createGroup(members);
+    assert.equal(group.getCapabilityValue('zone_group_state'), 'all_off');
+    assert.equal(group.getCapabilityValue('onoff'), false);
+
+    // A change made on the other switch's own device reaches the group
+    await switches[1].setZoneState(4, true);
+    await flush();
+    assert.equal(group.getCapabilityValue('zone_group_state'), 'some_on');
+    assert.equal(group.getCapabilityValue('onoff'), true);
+
+    const triggers = homey.flow.triggersFor('group_state_changed');
+    assert.equal(triggers.length, 1);
+    assert.deepEqual(triggers[0].tokens, { zones_on: 1, zones_total: 3 });
+    assert.deepEqual(triggers[0].state, { state: 'some_on' });
+  });
+
+  it('names the switches that failed and still switches the others', async () => {
+    const group = await createGroup(members);
+    simulators[1].dropNext(1);
+
+    await assert.rejects(group.setGroupState(true), /^Error: Failed to switch Switch 22222222 \(/);
+    assert.equal(simulators[0].state.zones[0].state, 'on');
+    assert.equal(group.getCapabilityValue('zone_group_state'), 'some_on');
+  });
+
+  it('becomes unavailable when none of its switches are paired', async () => {
+    const group = await createGroup([{ deviceId: '99999999', zone: 1 }]);
+    assert.equal(group.getAvailable(), false);
+    await assert.rejects(group.setGroupState(true), /None of the switches/);
+  });
+
+  describe('pairing', () => {
+    function createSession() {
+      const handlers = {};
+      return { handlers, setHandler: (event, handler) => { handlers[event] = handler; } };
+    }
+
+    it('lists enabled zones of every switch', async () => {
+      simulators[1].state.zones[2].enabled = 0;
+      await switches[1]._syncWithHardware();
+
+      const session = createSession();
+      await groupDriver.onPair(session);
+      const { switches: listed } = await session.handlers.list_zones();
+
+      assert.deepEqual(listed.map((entry) => entry.deviceId), ['11111111', '22222222']);
+      assert.deepEqual(listed[1].zones.map((zone) => zone.zone), [1, 2, 4]);
+      assert.equal(listed[0].zones[1].name, 'Lounge');
+    });
+
+    it('refuses to create an empty group', async () => {
+      const session = createSession();
+      await groupDriver.onPair(session);
+
+      await assert.rejects(session.handlers.save_group({ name: 'Empty', members: [] }), /at least one zone/);
+      const device = await session.handlers.save_group({ name: 'Downstairs', members });
+      assert.equal(device.name, 'Downstairs');
+      assert.deepEqual(device.store, { members });
+    });
+  });
+});
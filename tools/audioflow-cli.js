@@ -0,0 +1,374 @@
+/**
+ * Audioflow command-line tool
+ *
+ * Finds and controls switches on the local network without Homey, using the
+ * same client and discovery code as the app.
+ *
+ * Run with: node tools/audioflow-cli.js [options] <command> [arguments]
+ *
+ *   discover                       List the switches on the network (UDP, then a sweep of the subnets)
+ *   status <ip>                    Switch info and zone states
+ *   on <ip> <zone>                 Switch a zone on (zone number or name)
+ *   off <ip> <zone>                Switch a zone off
+ *   toggle <ip> <zone>             Toggle a zone
+ *   set <ip> "1 0 1 0"             Set all zones at once, - leaves a zone unchanged
+ *   rename <ip> switch <name>      Rename the switch
+ *   rename <ip> <zone> <name>      Rename a zone
+ *   exclusive <ip> enable|disable  Turn exclusive mode on or off
+ *   reboot <ip>                    Reboot the switch
+ *   watch <ip>                     Print every zone change until Ctrl+C
+ *
+ *   --json                         Print JSON instead of text (one object per line for watch)
+ *   --port 80                      HTTP port (the simulator uses 8080)
+ *   --timeout 5000                 Request timeout in ms
+ *   --wait 3000                    How long discover listens for answers in ms
+ *   --interval 2                   Seconds between polls for watch
+ *   --broadcast 192.168.1.255      Address discover sends the ping to (every interface by default)
+ *   --udp-port 10499               UDP port discover sends the ping to
+ *   --no-sweep                     Do not probe every host when nothing answers the ping
+ *   --verbose                      Show the client's request log
+ *
+ * The run() function is also used by the test suite.
+ */
+
+'use strict';
+
+const AudioflowClient = require('../lib/AudioflowClient');
+const DiscoveryService = require('../lib/DiscoveryService');
+const { AudioflowFirmwareError } = require('../lib/AudioflowErrors');
+const ZoneScenes = require('../lib/ZoneScenes');
+
+const USAGE = 'Usage: node tools/audioflow-cli.js [--json] [--port 80] <discover|status|on|off|toggle|set|rename|exclusive|reboot|watch> [ip] [arguments]';
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function parseArgs(argv) {
+  const options = { json: false, verbose: false, sweep: true, port: 80, timeout: 5000, wait: 3000, interval: 2 };
+  const args = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw usageError(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    if (arg === '--json') options.json = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--no-sweep') options.sweep = false;
+    else if (arg === '--port') options.port = parseInt(next(), 10);
+    else if (arg === '--timeout') options.timeout = parseInt(next(), 10);
+    else if (arg === '--wait') options.wait = parseInt(next(), 10);
+    else if (arg === '--interval') options.interval = parseFloat(next());
+    else if (arg === '--broadcast') options.broadcast = next();
+    else if (arg === '--udp-port') options.udpPort = parseInt(next(), 10);
+    else if (arg.startsWith('--')) throw usageError(`Unknown option ${arg}`);
+    else args.push(arg);
+  }
+
+  return { command: args[0], args: args.slice(1), options };
+}
+
+/**
+ * GET /zones body as [{ zone: 1, name, enabled, on }].
+ */
+function toZoneList(zones) {
+  return zones.map((zone, index) => ({
+    zone: index + 1,
+    name: zone.name,
+    enabled: zone.enabled === 1,
+    on: zone.state === 'on',
+  }));
+}
+
+/**
+ * Zone number from "2" or a zone name (case insensitive).
+ */
+function resolveZone(zones, arg) {
+  if (arg === undefined) throw usageError('Missing zone number or name');
+
+  if (/^\d+$/.test(arg)) {
+    const zoneNum = parseInt(arg, 10);
+    if (zoneNum < 1 || zoneNum > zones.length) {
+      throw new Error(`Zone ${zoneNum} does not exist, this switch has zones 1-${zones.length}`);
+    }
+    return zoneNum;
+  }
+
+  const match = zones.find((zone) => zone.name.toLowerCase() === arg.toLowerCase());
+  if (!match) {
+    throw new Error(`No zone named "${arg}", use 1-${zones.length} or one of: ${zones.map((zone) => zone.name).join(', ')}`);
+  }
+  return match.zone;
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map((row) => String(row[column]).length)));
+  return [headers, ...rows].map((row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
+}
+
+function formatZones(zones) {
+  return formatTable(['ZONE', 'NAME', 'STATE'], zones.map((zone) => [
+    zone.zone,
+    zone.name,
+    `${zone.on ? 'on' : 'off'}${zone.enabled ? '' : ' (disabled)'}`,
+  ]));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    }
+    if (signal) signal.addEventListener('abort', done);
+  });
+}
+
+/**
+ * Commands that talk to one switch get a client whose firmware version is
+ * already known, so unsupported calls fail with a clear message.
+ */
+async function connect(context, ip) {
+  if (!ip) throw usageError('Missing switch IP address');
+
+  const { options } = context;
+  context.client = new AudioflowClient(ip, {
+    port: options.port,
+    timeout: options.timeout,
+    logger: options.verbose ? { log: context.printError, error: context.printError } : undefined,
+  });
+
+  const info = await context.client.getSwitch();
+  context.client.setFirmwareVersion(info.version || null);
+  return info;
+}
+
+/**
+ * Zone commands answer with the GET /zones body. Read it again if they did not.
+ */
+async function zonesFrom(context, response) {
+  if (response && Array.isArray(response.zones)) return toZoneList(response.zones);
+  return toZoneList(await context.client.getZones());
+}
+
+function printZones(context, zones) {
+  if (context.options.json) return context.printJson(zones);
+  formatZones(zones).forEach(context.print);
+}
+
+async function switchZone(context, [ip, zoneArg], value) {
+  await connect(context, ip);
+  const zoneNum = resolveZone(toZoneList(await context.client.getZones()), zoneArg);
+  const response = await context.client.setZoneState(zoneNum, value);
+  printZones(context, await zonesFrom(context, response));
+}
+
+const COMMANDS = {
+  async discover(context) {
+    const { options } = context;
+    const discovery = new DiscoveryService({
+      timeout: options.wait,
+      udpPort: options.udpPort,
+      httpPort: options.port,
+      addresses: options.broadcast ? [options.broadcast] : null,
+      log: options.verbose ? context.printError : undefined,
+    });
+    const switches = await discovery.discover({ sweep: options.sweep });
+    switches.sort((a, b) => a.address.localeCompare(b.address, 'en', { numeric: true }));
+
+    if (options.json) return context.printJson(switches);
+    if (switches.length === 0) {
+      context.print('No switches found. Check that this computer is on the same network as the switch.');
+      return;
+    }
+    formatTable(['MODEL', 'SERIAL', 'IP'], switches.map((sw) => [sw.model, sw.serial, sw.address])).forEach(context.print);
+  },
+
+  async status(context, [ip]) {
+    const info = await connect(context, ip);
+    const zones = toZoneList(await context.client.getZones());
+    const status = {
+      name: info.name,
+      model: info.model,
+      serial: info.serial,
+      firmware: info.version || null,
+      wifi: info.wifi || null,
+      exclusive: typeof info.exclusive === 'boolean' ? info.exclusive : null,
+      zones,
+    };
+
+    if (context.options.json) return context.printJson(status);
+    context.print(`${status.name} (${status.model}, serial ${status.serial})`);
+    context.print(`Firmware: ${status.firmware || 'unknown (older than 1.10.000037)'}`);
+    if (status.wifi) context.print(`Wi-Fi: ${status.wifi}`);
+    if (status.exclusive !== null) context.print(`Exclusive mode: ${status.exclusive ? 'on' : 'off'}`);
+    context.print('');
+    formatZones(zones).forEach(context.print);
+  },
+
+  on: (context, args) => switchZone(context, args, true),
+
+  off: (context, args) => switchZone(context, args, false),
+
+  async toggle(context, [ip, zoneArg]) {
+    await connect(context, ip);
+    const zones = toZoneList(await context.client.getZones());
+    const zoneNum = resolveZone(zones, zoneArg);
+
+    // Firmware before 1.10.000035 has no "T" payload and 1.10.000035-36 does
+    // not report its version, so send "T" and only read-then-write when the
+    // switch turns it down.
+    let response;
+    try {
+      response = await context.client.toggleZone(zoneNum);
+    } catch (err) {
+      if (!(err instanceof AudioflowFirmwareError)) throw err;
+      response = await context.client.setZoneState(zoneNum, !zones[zoneNum - 1].on);
+    }
+    printZones(context, await zonesFrom(context, response));
+  },
+
+  async set(context, [ip, pattern]) {
+    await connect(context, ip);
+    const zones = toZoneList(await context.client.getZones());
+    if (pattern === undefined) throw usageError('Missing pattern, e.g. "1 0 1 0"');
+
+    const states = ZoneScenes.parsePattern(pattern, zones.length)
+      .map((state, index) => (state === null ? zones[index].on : state));
+    const response = await context.client.setAllZones(ZoneScenes.toZonesPayload(states));
+    printZones(context, await zonesFrom(context, response));
+  },
+
+  async rename(context, [ip, target, ...nameParts]) {
+    await connect(context, ip);
+    const name = nameParts.join(' ');
+    if (!target || !name) throw usageError('Usage: rename <ip> switch|<zone> <name>');
+
+    if (target.toLowerCase() === 'switch') {
+      const newName = await context.client.setSwitchName(name);
+      if (context.options.json) return context.printJson({ name: newName });
+      context.print(`Switch renamed to ${newName}`);
+      return;
+    }
+
+    const zones = toZoneList(await context.client.getZones());
+    const zoneNum = resolveZone(zones, target);
+    const response = await context.client.setZoneName(zoneNum, name, zones[zoneNum - 1].enabled);
+    printZones(context, await zonesFrom(context, response));
+  },
+
+  async exclusive(context, [ip, mode]) {
+    if (mode !== 'enable' && mode !== 'disable') throw usageError('Usage: exclusive <ip> enable|disable');
+    await connect(context, ip);
+    await context.client.setExclusiveMode(mode);
+
+    // Enabling may switch zones off, show what is left on
+    const zones = toZoneList(await context.client.getZones());
+    if (context.options.json) return context.printJson({ exclusive: mode === 'enable', zones });
+    context.print(`Exclusive mode ${mode === 'enable' ? 'enabled' : 'disabled'}`);
+    formatZones(zones).forEach(context.print);
+  },
+
+  async reboot(context, [ip]) {
+    const info = await connect(context, ip);
+    await context.client.reboot();
+    if (context.options.json) return context.printJson({ rebooting: true });
+    context.print(`${info.name} is rebooting, it takes about a minute to come back`);
+  },
+
+  async watch(context, [ip]) {
+    const info = await connect(context, ip);
+    const { options, signal } = context;
+    const time = () => new Date().toISOString();
+    let previous = [];
+    let reachable = true;
+
+    if (!options.json) context.print(`Watching ${info.name} every ${options.interval}s, press Ctrl+C to stop`);
+
+    while (!(signal && signal.aborted)) {
+      try {
+        const zones = toZoneList(await context.client.getZones());
+        if (!reachable) {
+          reachable = true;
+          if (options.json) context.printJson({ time: time(), reachable: true });
+          else context.print(`${time()}  Switch is reachable again`);
+        }
+
+        for (const zone of zones) {
+          const before = previous[zone.zone - 1];
+          if (before && before.on === zone.on && before.name === zone.name && before.enabled === zone.enabled) continue;
+          if (options.json) context.printJson({ time: time(), ...zone });
+          else context.print(`${time()}  Zone ${zone.zone} ${zone.name}: ${zone.on ? 'on' : 'off'}${zone.enabled ? '' : ' (disabled)'}`);
+        }
+        previous = zones;
+      } catch (err) {
+        if (reachable) {
+          reachable = false;
+          if (options.json) context.printJson({ time: time(), reachable: false, error: err.message });
+          else context.print(`${time()}  Switch is not reachable (${err.message})`);
+        }
+      }
+
+      await sleep(options.interval * 1000, signal);
+    }
+  },
+};
+
+/**
+ * Run a command line and resolve with the exit code.
+ *
+ * @param {string[]} argv Arguments without "node" and the script name
+ * @param {object} [io]
+ * @param {stream.Writable} [io.stdout=process.stdout]
+ * @param {stream.Writable} [io.stderr=process.stderr]
+ * @param {AbortSignal} [io.signal] Stops watch
+ */
+async function run(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const context = {
+    signal: io.signal,
+    client: null,
+    print: (line) => stdout.write(`${line}\n`),
+    printJson: (value) => stdout.write(`${JSON.stringify(value)}\n`),
+    printError: (line) => stderr.write(`${line}\n`),
+  };
+
+  try {
+    const { command, args, options } = parseArgs(argv);
+    context.options = options;
+    if (!command) throw usageError('Missing command');
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) throw usageError(`Unknown command ${command}`);
+
+    await COMMANDS[command](context, args);
+    return 0;
+  } catch (err) {
+    context.printError(err.message);
+    if (err.usage) context.printError(USAGE);
+    return 1;
+  } finally {
+    if (context.client) context.client.destroy();
+  }
+}
+
+if (require.main === module) {
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+
+  run(process.argv.slice(2), { signal: controller.signal }).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  resolveZone,
+};
@@ -0,0 +1,328 @@
+/**
+ * Audioflow Switch Simulator
+ *
+ * Implements the documented Audioflow Network API v2-0 (HTTP + UDP discovery)
+ * so the app can be developed and tested without a physical switch.
+ *
+ * Run with: node tools/audioflow-simulator.js [options]
+ *
+ *   --model 3S-4Z          3S-2Z, 3S-3Z or 3S-4Z
+ *   --serial 00000000      Serial number reported by /switch and afpong
+ *   --name "My Switch"     Switch name
+ *   --firmware 1.10.000037 Firmware version (older versions hide newer endpoints)
+ *   --update-to <version>  Firmware the next reboot installs, to try firmware updates
+ *   --port 8080            HTTP port (the real switch uses 80)
+ *   --udp-port 10499       UDP discovery port
+ *   --host 0.0.0.0         Address to listen on
+ *   --latency 0            Delay in ms before every HTTP response
+ *   --drop 0               Fraction of HTTP requests to drop without answering (0 - 1)
+ *   --wifi <text>          Wi-Fi reported by /switch, default "MYSSID [11] (-57dBm)"
+ *   --alexa                Report Alexa as enabled
+ *   --exclusive            Start with exclusive mode enabled
+ *   --reboot-time 3000     Downtime in ms after GET /reboot_now
+ *
+ * The class is also used by the test suite to run a switch in-process.
+ */
+
+'use strict';
+
+const http = require('http');
+const dgram = require('dgram');
+
+const MODEL_ZONES = { '3S-2Z': 2, '3S-3Z': 3, '3S-4Z': 4 };
+const DEFAULT_NAMES = ['Kitchen', 'Lounge', 'Study', 'Pool'];
+
+// Firmware milestones from the API document
+const V_NEW_ENDPOINTS = '1.10.000035'; // GET /zones/N, "T" toggle, /exclusive, /reboot_now
+const V_NEW_FIELDS = '1.10.000037'; // version and exclusive fields in GET /switch
+
+function versionAtLeast(version, minimum) {
+  const left = version.split('.').map(Number);
+  const right = minimum.split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff > 0;
+  }
+  return true;
+}
+
+class AudioflowSimulator {
+  constructor(options = {}) {
+    this.model = options.model || '3S-4Z';
+    if (!MODEL_ZONES[this.model]) throw new Error(`Unknown model ${this.model}`);
+
+    this.serial = options.serial || '00000000';
+    this.host = options.host || '0.0.0.0';
+    this.httpPort = typeof options.httpPort === 'number' ? options.httpPort : 8080;
+    this.udpPort = typeof options.udpPort === 'number' ? options.udpPort : 10499;
+    this.latency = options.latency || 0;
+    this.dropRate = options.dropRate || 0;
+    this.rebootTime = typeof options.rebootTime === 'number' ? options.rebootTime : 3000;
+    this.log = options.log || (() => {});
+
+    // Firmware to install on the next reboot, to simulate an update
+    this.pendingFirmware = options.pendingFirmware || null;
+
+    this.state = {
+      name: options.name || 'My Switch',
+      firmware: options.firmware || '1.10.000037',
+      wifi: options.wifi || 'MYSSID [11] (-57dBm)',
+      alexa: options.alexa === true,
+      exclusive: options.exclusive === true,
+      zones: DEFAULT_NAMES.slice(0, MODEL_ZONES[this.model]).map((name) => ({
+        name,
+        enabled: 1,
+        state: 'off',
+      })),
+    };
+
+    this.requests = []; // { method, path, body } for every answered request
+    this._dropNext = 0;
+    this._rebootingUntil = 0;
+  }
+
+  /**
+   * Drop the next n HTTP requests without answering, for deterministic tests.
+   */
+  dropNext(n = 1) {
+    this._dropNext += n;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this._onRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.httpPort, this.host, resolve);
+    });
+    this.httpPort = this.server.address().port;
+
+    if (this.udpPort !== null) {
+      this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      this.socket.on('message', (msg, rinfo) => this._onDiscovery(msg, rinfo));
+      await new Promise((resolve, reject) => {
+        this.socket.once('error', reject);
+        this.socket.bind(this.udpPort, this.host, resolve);
+      });
+      this.udpPort = this.socket.address().port;
+    }
+
+    this.log(`Simulating ${this.model} (${this.serial}) firmware v${this.state.firmware} on http://${this.host}:${this.httpPort}, UDP ${this.udpPort}`);
+  }
+
+  async stop() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    if (this.server) {
+      if (this.server.closeAllConnections) this.server.closeAllConnections();
+      await new Promise((resolve) => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+
+  /**
+   * "afpong" + model (8 bytes) + serial (16 bytes), NUL padded.
+   */
+  buildPong() {
+    const packet = Buffer.alloc(30);
+    packet.write('afpong', 0, 'ascii');
+    packet.write(this.model.substring(0, 8), 6, 'ascii');
+    packet.write(this.serial.substring(0, 16), 14, 'ascii');
+    return packet;
+  }
+
+  _onDiscovery(msg, rinfo) {
+    if (msg.toString() !== 'afping') return;
+    if (Date.now() < this._rebootingUntil) return;
+
+    this.log(`UDP afping from ${rinfo.address}:${rinfo.port}`);
+    this.socket.send(this.buildPong(), rinfo.port, rinfo.address);
+  }
+
+  _supports(minimum) {
+    return versionAtLeast(this.state.firmware, minimum);
+  }
+
+  _onRequest(req, res) {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const rebooting = Date.now() < this._rebootingUntil;
+      const drop = this._dropNext > 0 || Math.random() < this.dropRate;
+      if (rebooting || drop) {
+        if (!rebooting && this._dropNext > 0) this._dropNext--;
+        this.log(`${req.method} ${req.url} dropped${rebooting ? ' (rebooting)' : ''}`);
+        req.socket.destroy();
+        return;
+      }
+
+      setTimeout(() => {
+        this.requests.push({ method: req.method, path: req.url, body });
+        const [status, payload] = this._handle(req.method, req.url, body);
+        this.log(`${req.method} ${req.url} ${body ? `"${body}" ` : ''}-> ${status}`);
+
+        const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        res.writeHead(status, { 'Content-Type': typeof payload === 'string' ? 'text/plain' : 'application/json' });
+        res.end(text);
+
+        if (req.method === 'GET' && req.url === '/reboot_now' && status === 200) this._reboot();
+      }, this.latency);
+    });
+  }
+
+  _handle(method, path, body) {
+    const zoneMatch = path.match(/^\/(zones|zonename)\/(\d+)$/);
+    const zoneNum = zoneMatch ? parseInt(zoneMatch[2], 10) : null;
+    if (zoneMatch && (zoneNum < 1 || zoneNum > this.state.zones.length)) return [404, 'Zone not found'];
+
+    if (path === '/switch' && method === 'GET') return [200, this._switchBody()];
+    if (path === '/switch' && method === 'PUT') {
+      this.state.name = body.substring(0, 15);
+      return [200, this.state.name];
+    }
+
+    if (path === '/zones' && method === 'GET') return [200, this._zonesBody()];
+    if (path === '/zones' && method === 'PUT') {
+      const digits = body.trim().split(/\s+/);
+      if (digits.length !== 4 || digits.some((d) => d !== '0' && d !== '1')) return [400, 'Bad payload'];
+      let turnedOn = false;
+      this.state.zones.forEach((zone, index) => {
+        // Exclusive mode: only the first requested zone is switched on
+        const on = digits[index] === '1' && !(this.state.exclusive && turnedOn);
+        if (on) turnedOn = true;
+        zone.state = on ? 'on' : 'off';
+      });
+      return [200, this._zonesBody()];
+    }
+
+    if (zoneMatch && zoneMatch[1] === 'zones' && method === 'GET') {
+      if (!this._supports(V_NEW_ENDPOINTS)) return [404, 'Not found'];
+      const zone = this.state.zones[zoneNum - 1];
+      return [200, { id: zoneNum, name: zone.name, enabled: zone.enabled, state: zone.state }];
+    }
+
+    if (zoneMatch && zoneMatch[1] === 'zones' && method === 'PUT') {
+      const payload = body.trim();
+      if (payload === 'T' && !this._supports(V_NEW_ENDPOINTS)) return [400, 'Bad payload'];
+      if (payload !== '0' && payload !== '1' && payload !== 'T') return [400, 'Bad payload'];
+
+      const zone = this.state.zones[zoneNum - 1];
+      const on = payload === 'T' ? zone.state !== 'on' : payload === '1';
+      this._setZone(zoneNum - 1, on);
+      return [200, this._zonesBody()];
+    }
+
+    if (zoneMatch && zoneMatch[1] === 'zonename' && method === 'PUT') {
+      if (body[0] !== '0' && body[0] !== '1') return [400, 'Bad payload'];
+      const zone = this.state.zones[zoneNum - 1];
+      zone.enabled = body[0] === '1' ? 1 : 0;
+      zone.name = body.substring(1, 16);
+      return [200, this._zonesBody()];
+    }
+
+    if (path === '/exclusive' && method === 'PUT') {
+      if (!this._supports(V_NEW_ENDPOINTS)) return [404, 'Not found'];
+      if (body !== 'enable' && body !== 'disable') return [400, 'Bad payload'];
+      this.state.exclusive = body === 'enable';
+      if (this.state.exclusive) {
+        const first = this.state.zones.findIndex((zone) => zone.state === 'on');
+        if (first !== -1) this._setZone(first, true);
+      }
+      return [200, this.state.exclusive ? 'enabled' : 'disabled'];
+    }
+
+    if (path === '/reboot_now' && method === 'GET') {
+      if (!this._supports(V_NEW_ENDPOINTS)) return [404, 'Not found'];
+      return [200, 'Rebooting now'];
+    }
+
+    return [404, 'Not found'];
+  }
+
+  _setZone(index, on) {
+    if (on && this.state.exclusive) {
+      this.state.zones.forEach((zone) => { zone.state = 'off'; });
+    }
+    this.state.zones[index].state = on ? 'on' : 'off';
+  }
+
+  _reboot() {
+    this._rebootingUntil = Date.now() + this.rebootTime;
+    // Zones come back off after a reboot
+    this.state.zones.forEach((zone) => { zone.state = 'off'; });
+    if (this.pendingFirmware) {
+      this.log(`Installing firmware v${this.pendingFirmware}`);
+      this.state.firmware = this.pendingFirmware;
+      this.pendingFirmware = null;
+    }
+  }
+
+  _switchBody() {
+    const body = {
+      name: this.state.name,
+      model: this.model,
+      serial: this.serial,
+    };
+    if (this._supports(V_NEW_FIELDS)) body.version = this.state.firmware;
+    body.wifi = this.state.wifi;
+    body.alexa = this.state.alexa;
+    if (this._supports(V_NEW_FIELDS)) body.exclusive = this.state.exclusive;
+    return body;
+  }
+
+  _zonesBody() {
+    return {
+      zones: this.state.zones.map((zone, index) => ({
+        id: String(index),
+        name: zone.name,
+        enabled: zone.enabled,
+        state: zone.state,
+      })),
+    };
+  }
+}
+
+function parseArgs(argv) {
+  const options = { log: (msg) => console.log(`[Simulator] ${msg}`) };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === '--model') options.model = next();
+    else if (arg === '--serial') options.serial = next();
+    else if (arg === '--name') options.name = next();
+    else if (arg === '--firmware') options.firmware = next();
+    else if (arg === '--update-to') options.pendingFirmware = next();
+    else if (arg === '--port') options.httpPort = parseInt(next(), 10);
+    else if (arg === '--udp-port') options.udpPort = parseInt(next(), 10);
+    else if (arg === '--host') options.host = next();
+    else if (arg === '--latency') options.latency = parseInt(next(), 10);
+    else if (arg === '--drop') options.dropRate = parseFloat(next());
+    else if (arg === '--reboot-time') options.rebootTime = parseInt(next(), 10);
+    else if (arg === '--wifi') options.wifi = next();
+    else if (arg === '--exclusive') options.exclusive = true;
+    else if (arg === '--alexa') options.alexa = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let simulator;
+  try {
+    simulator = new AudioflowSimulator(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error(err.message);
+    console.log('Usage: node tools/audioflow-simulator.js [--model 3S-4Z] [--firmware 1.10.000037] [--port 8080] [--latency 0] [--drop 0] [--exclusive]');
+    process.exit(1);
+  }
+
+  simulator.start().catch((err) => {
+    console.error(`Failed to start simulator: ${err.message}`);
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+}
+
+module.exports = AudioflowSimulator;